@@ -0,0 +1,145 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function loadRuntime(settings, initialLog = []) {
+  const local = { alertLog: initialLog };
+  const notifications = [];
+  const context = {
+    console,
+    Intl,
+    chrome: {
+      runtime: { getURL: path => `chrome-extension://test/${path}` },
+      notifications: {
+        create: async (id, options) => {
+          notifications.push({ id, options });
+          return id;
+        },
+      },
+      storage: {
+        sync: { get: async () => ({ settings }) },
+        local: {
+          get: async key => ({ [key]: local[key] }),
+          set: async (values) => {
+            Object.assign(local, values);
+          },
+        },
+      },
+    },
+  };
+
+  vm.createContext(context);
+  vm.runInContext(
+    [
+      fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/decimal.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/shared/settings.js', 'utf8'),
+      fs.readFileSync('src/background/rates.js', 'utf8'),
+      fs.readFileSync('src/background/providers.js', 'utf8'),
+      fs.readFileSync('src/background/alerts.js', 'utf8'),
+    ].join('\n'),
+    context,
+  );
+  return { context, local, notifications };
+}
+
+function testEvaluateRateAlerts() {
+  const { context } = loadRuntime({});
+  const rules = context.normalizeRateAlerts([
+    { from: 'EUR', to: 'USD', type: 'above', value: 1.1 },
+    { from: 'EUR', to: 'USD', type: 'below', value: 1.05 },
+    { from: 'GBP', to: 'EUR', type: 'change', value: 1 },
+  ]);
+  const fired = (previous, next) => context.evaluateRateAlerts(rules, previous, next).map(trigger => trigger.rule.id);
+
+  const before = { EUR: 1, USD: 1.09, GBP: 0.85 };
+  assert.strictEqual(context.getPairRate(before, 'GBP', 'EUR'), 1 / 0.85);
+  assert.strictEqual(context.getPairRate(before, 'GBP', 'XXX'), null);
+
+  // Thresholds fire on the fetch that crosses them, not on every later fetch
+  assert.deepStrictEqual(plain(fired(before, { EUR: 1, USD: 1.1, GBP: 0.85 })), ['EUR/USD:above:1.1']);
+  assert.deepStrictEqual(plain(fired({ EUR: 1, USD: 1.1, GBP: 0.85 }, { EUR: 1, USD: 1.12, GBP: 0.85 })), []);
+  assert.deepStrictEqual(plain(fired(before, { EUR: 1, USD: 1.04, GBP: 0.85 })), ['EUR/USD:below:1.05']);
+  assert.deepStrictEqual(plain(fired(null, { EUR: 1, USD: 1.12, GBP: 0.85 })), ['EUR/USD:above:1.1']);
+
+  // Percentage moves compare with the previous rates, in either direction
+  assert.deepStrictEqual(plain(fired(before, { EUR: 1, USD: 1.09, GBP: 0.84 })), ['GBP/EUR:change:1']);
+  assert.deepStrictEqual(plain(fired(before, { EUR: 1, USD: 1.09, GBP: 0.86 })), ['GBP/EUR:change:1']);
+  assert.deepStrictEqual(plain(fired(before, { EUR: 1, USD: 1.09, GBP: 0.852 })), []);
+  assert.deepStrictEqual(plain(fired(null, { EUR: 1, USD: 1.09, GBP: 0.84 })), []);
+
+  const [trigger] = context.evaluateRateAlerts(rules.slice(2), before, { EUR: 1, GBP: 0.84 });
+  assert.deepStrictEqual(plain(context.formatRateAlert(trigger, '2026-10-16')), {
+    title: 'GBP/EUR moved +1.19%',
+    message: '1 GBP = 1.19048 EUR (was 1.17647), rates of 2026-10-16',
+  });
+}
+
+async function testCheckRateAlerts() {
+  const settings = {
+    customCurrencies: [{ code: 'AED', name: 'UAE dirham', base: 'USD', rate: 3.6725 }],
+    rateAlerts: [
+      { from: 'EUR', to: 'AED', type: 'above', value: 4 },
+      { from: 'EUR', to: 'USD', type: 'below', value: 1 },
+    ],
+  };
+  const olderEntry = { ruleId: 'EUR/USD:below:1', timestamp: '2026-01-01T00:00:00.000Z' };
+  const { context, local, notifications } = loadRuntime(settings, [olderEntry]);
+
+  const entries = await context.checkRateAlerts(
+    { rates: { EUR: 1, USD: 1.08 } },
+    { rates: { EUR: 1, USD: 1.1 }, rateDate: '2026-10-16' },
+  );
+
+  // Custom currencies are converted through their peg before comparing
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].ruleId, 'EUR/AED:above:4');
+  assert.strictEqual(entries[0].rateDate, '2026-10-16');
+  assert.strictEqual(local.alertLog.length, 2);
+  assert.strictEqual(local.alertLog[0].ruleId, 'EUR/AED:above:4');
+  assert.deepStrictEqual(plain(local.alertLog[1]), olderEntry);
+
+  assert.strictEqual(notifications.length, 1);
+  assert.ok(notifications[0].id.startsWith('rate-alert:EUR/AED:above:4:'));
+  assert.strictEqual(notifications[0].options.type, 'basic');
+  assert.strictEqual(notifications[0].options.iconUrl, 'chrome-extension://test/icons/icon128.png');
+  assert.strictEqual(notifications[0].options.title, 'EUR/AED is above 4');
+  assert.strictEqual(notifications[0].options.message, '1 EUR = 4.03975 AED (was 3.9663), rates of 2026-10-16');
+
+  // Nothing changes on an unchanged fetch
+  const again = await context.checkRateAlerts(
+    { rates: { EUR: 1, USD: 1.1 } },
+    { rates: { EUR: 1, USD: 1.1 }, rateDate: '2026-10-16' },
+  );
+  assert.strictEqual(again.length, 0);
+  assert.strictEqual(notifications.length, 1);
+}
+
+async function testAlertLogIsBounded() {
+  const settings = { rateAlerts: [{ from: 'EUR', to: 'USD', type: 'change', value: 0.1 }] };
+  const log = Array.from({ length: 60 }, (_, index) => ({ ruleId: `old-${index}` }));
+  const { context, local } = loadRuntime(settings, log);
+
+  await context.checkRateAlerts({ rates: { EUR: 1, USD: 1 } }, { rates: { EUR: 1, USD: 1.1 } });
+  assert.strictEqual(local.alertLog.length, context.LIMITS.MAX_ALERT_LOG_ENTRIES);
+  assert.strictEqual(local.alertLog[0].ruleId, 'EUR/USD:change:0.1');
+  assert.strictEqual(local.alertLog[0].rateDate, null);
+}
+
+async function run() {
+  testEvaluateRateAlerts();
+  await testCheckRateAlerts();
+  await testAlertLogIsBounded();
+  console.log('alerts: all tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
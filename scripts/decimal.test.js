@@ -0,0 +1,64 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+const context = { console, Intl };
+vm.createContext(context);
+vm.runInContext(
+  [
+    fs.readFileSync('src/shared/constants.js', 'utf8'),
+    fs.readFileSync('src/shared/decimal.js', 'utf8'),
+  ].join('\n'),
+  context,
+);
+
+function parsed(value) {
+  const result = context.parseDecimal(value);
+  return result && { units: result.units.toString(), scale: result.scale };
+}
+
+// Parsing keeps the decimal digits exactly, including exponent notation.
+assert.deepStrictEqual(parsed('1.0812'), { units: '10812', scale: 4 });
+assert.deepStrictEqual(parsed(1234.5), { units: '12345', scale: 1 });
+assert.deepStrictEqual(parsed(-0.05), { units: '-5', scale: 2 });
+assert.deepStrictEqual(parsed(1e-7), { units: '1', scale: 7 });
+assert.deepStrictEqual(parsed(1.5e21), { units: '1500000000000000000000', scale: 0 });
+assert.deepStrictEqual(parsed('.99'), { units: '99', scale: 2 });
+assert.strictEqual(context.parseDecimal('abc'), null);
+assert.strictEqual(context.parseDecimal(NaN), null);
+assert.strictEqual(context.parseDecimal(Infinity), null);
+assert.strictEqual(context.parseDecimal(''), null);
+
+// A cross rate whose exact result is a half-cent tie. Floats land just below it
+// (5524122.204999999) and round the wrong way.
+assert.strictEqual(7120382.5 / 1.1 * 0.8534 < 5524122.205, true);
+assert.strictEqual(context.convertDecimal(7120382.5, 1.1, 0.8534), 5524122.21);
+assert.strictEqual(
+  context.convertDecimal(7120382.5, 1.1, 0.8534, { roundingMode: 'half-even' }),
+  5524122.2,
+);
+assert.strictEqual(context.convertDecimal(752575.45, 1.1, 162.37), 111086978.02);
+assert.strictEqual(context.convertDecimal(3593782.5, '1.1', '0.8534'), 2788121.81);
+
+// Rounding modes on ties and non-ties.
+assert.strictEqual(context.convertDecimal(0.125, 1, 1), 0.13);
+assert.strictEqual(context.convertDecimal(0.125, 1, 1, { roundingMode: 'half-even' }), 0.12);
+assert.strictEqual(context.convertDecimal(0.135, 1, 1, { roundingMode: 'half-even' }), 0.14);
+assert.strictEqual(context.convertDecimal(-0.125, 1, 1), -0.13);
+assert.strictEqual(context.convertDecimal(-0.125, 1, 1, { roundingMode: 'half-even' }), -0.12);
+assert.strictEqual(context.convertDecimal(0.1249, 1, 1), 0.12);
+assert.strictEqual(context.convertDecimal(2.5, 1, 1, { digits: 0, roundingMode: 'half-even' }), 2);
+assert.strictEqual(context.convertDecimal(3.5, 1, 1, { digits: 0, roundingMode: 'half-even' }), 4);
+
+// Minor units follow the target currency; the markup is applied before rounding.
+assert.strictEqual(context.convertDecimal(100, 1.1, 162.37, { digits: context.getCurrencyDigits('JPY') }), 14761);
+assert.strictEqual(context.convertDecimal(100, 1, 1.1, { markupPercent: 2.5 }), 112.75);
+assert.strictEqual(context.convertDecimal(0.1, 1, 3, { markupPercent: 0 }), 0.3);
+assert.strictEqual(context.convertDecimal(123456789012.34, 1, 1.1), 135802467913.57);
+
+assert.throws(() => context.convertDecimal('x', 1, 1), /Invalid amount/);
+assert.throws(() => context.convertDecimal(1, 0, 1), /Invalid rate: 0/);
+assert.throws(() => context.convertDecimal(1, 1, -2), /Invalid rate: -2/);
+
+console.log('decimal: all tests passed');
@@ -173,6 +173,27 @@ function run() {
     'CHF'
   );
 
+  // Custom currencies are recognized by code, symbol, and name once registered.
+  assert.strictEqual(detector.detectCurrency('AED 120', 'auto', { maxLength: 200 }), null);
+  detector.setCustomCurrencies([
+    { code: 'AED', name: 'UAE dirham', symbol: 'Dh', base: 'USD', rate: 3.6725 },
+    { code: 'VND', name: 'Vietnamese dong', symbol: '₫', base: 'EUR', rate: 28000 },
+  ]);
+  d = detector.detectCurrency('AED 120', 'auto', { maxLength: 200 });
+  assert(d && d.amount === 120 && d.currencies.join() === 'AED');
+  d = detector.detectCurrency('50,000₫', 'auto', { maxLength: 200 });
+  assert(d && d.amount === 50000 && d.currencies.join() === 'VND');
+  d = detector.detectCurrency('20 UAE dirham', 'auto', { maxLength: 200 });
+  assert(d && d.amount === 20 && d.currencies.join() === 'AED');
+  d = detector.detectCurrency('$15', 'auto', { maxLength: 200 });
+  assert(d && d.currencies[0] === 'USD');
+  // Names are matched as own keys only, so one that shadows an Object.prototype member still works
+  detector.setCustomCurrencies([{ code: 'XCN', name: 'Constructor', base: 'EUR', rate: 2 }]);
+  d = detector.detectCurrency('5 constructor', 'auto', { maxLength: 200 });
+  assert(d && d.amount === 5 && d.currencies.join() === 'XCN');
+  detector.setCustomCurrencies([]);
+  assert.strictEqual(detector.detectCurrency('AED 120', 'auto', { maxLength: 200 }), null);
+
   console.log('detector-corpus: all tests passed');
 }
 
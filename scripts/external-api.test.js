@@ -0,0 +1,124 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const context = {
+  console,
+  Intl,
+  URL,
+  chrome: {
+    runtime: {
+      getManifest: () => ({ externally_connectable: { ids: ['companionextensionid'] } }),
+    },
+  },
+};
+vm.createContext(context);
+vm.runInContext(
+  [
+    fs.readFileSync('src/shared/constants.js', 'utf8'),
+    fs.readFileSync('src/shared/messages.js', 'utf8'),
+    fs.readFileSync('src/content/currency-detector.js', 'utf8'),
+    fs.readFileSync('src/background/external-api.js', 'utf8'),
+  ].join('\n'),
+  context,
+);
+
+// Senders: allowlisted extensions and localhost pages only
+assert.strictEqual(context.isExternalSenderAllowed({ id: 'companionextensionid' }), true);
+assert.strictEqual(context.isExternalSenderAllowed({ id: 'otherextensionid' }), false);
+// Another extension's content script on a localhost page is still another extension
+assert.strictEqual(
+  context.isExternalSenderAllowed({ id: 'otherextensionid', url: 'http://localhost/tools/', origin: 'http://localhost' }),
+  false,
+);
+assert.strictEqual(context.isExternalSenderAllowed({ origin: 'http://127.0.0.1:3000' }), true);
+assert.strictEqual(context.isExternalSenderAllowed({ url: 'http://localhost/tools/' }), true);
+assert.strictEqual(context.isExternalSenderAllowed({ origin: 'https://localhost.example' }), false);
+assert.strictEqual(context.isExternalSenderAllowed(undefined), false);
+
+// Requests
+const convert = { type: 'convert', apiVersion: 1, amount: 10, from: 'EUR', to: 'USD', date: '2026-04-01' };
+assert.strictEqual(context.validateExternalRequest(convert), convert);
+assert.ok(context.validateExternalRequest({ type: 'get-rates' }));
+
+const rejects = (request, message) => assert.throws(
+  () => context.validateExternalRequest(request),
+  error => error.message === message,
+);
+rejects(null, 'Request must be an object');
+rejects(['get-rates'], 'Request must be an object');
+rejects({ type: 'manual-sync' }, 'Unknown request type: manual-sync');
+rejects({ type: 'get-rates', apiVersion: 2 }, 'Unsupported apiVersion 2; this extension speaks version 1');
+rejects({ type: 'get-rates', base: 'USD' }, 'Invalid get-rates request: "base" is not a known field');
+rejects({ type: 'convert', from: 'EUR', to: 'USD' }, 'Invalid convert request: "amount" is required');
+rejects(
+  { type: 'convert', amount: '10', from: 'EUR', to: 'USD' },
+  'Invalid convert request: "amount" must be a finite number',
+);
+rejects(
+  { type: 'convert', amount: Infinity, from: 'EUR', to: 'USD' },
+  'Invalid convert request: "amount" must be a finite number',
+);
+rejects(
+  { type: 'convert', amount: 1, from: 'eur', to: 'USD' },
+  'Invalid convert request: "from" must be a three-letter currency code',
+);
+rejects(
+  { type: 'convert', amount: 1, from: 'EUR', to: 'USD', date: '1/4/2026' },
+  'Invalid convert request: "date" must be a YYYY-MM-DD date',
+);
+rejects(
+  { type: 'detect', text: 'x'.repeat(10001) },
+  'Invalid detect request: "text" must be at most 10000 characters',
+);
+rejects(
+  { type: 'detect', text: '€5', numberFormat: 'fr' },
+  'Invalid detect request: "numberFormat" must be one of auto, us, eu',
+);
+
+// Responses are checked against the schema before they are sent
+assert.deepStrictEqual(
+  plain(context.createExternalResponse('get-rates', { base: 'EUR', rates: { EUR: 1, USD: 1.2 }, rateDate: null })),
+  {
+    apiVersion: 1,
+    type: 'get-rates',
+    status: 'success',
+    base: 'EUR',
+    rates: { EUR: 1, USD: 1.2 },
+    rateDate: null,
+  },
+);
+assert.throws(
+  () => context.createExternalResponse('get-rates', { base: 'EUR', rates: { USD: 0 }, rateDate: null }),
+  /Invalid get-rates response: "rates" must map currency codes to positive rates/,
+);
+assert.throws(
+  () => context.createExternalResponse('detect', { detections: [{ amount: 1 }] }),
+  /Invalid detect response: "detections"\[0\]\."currency" is required/,
+);
+assert.deepStrictEqual(plain(context.createExternalError(undefined, 'Request must be an object')), {
+  apiVersion: 1,
+  type: null,
+  status: 'error',
+  message: 'Request must be an object',
+});
+
+// Detection lists every amount, resolving ambiguous symbols with the settings
+const detections = context.detectExternalAmounts(
+  'Tickets $25 each, or 3 for 60 CHF',
+  'auto',
+  { ...context.DEFAULT_SETTINGS, defaultDollarCurrency: 'CAD' },
+);
+assert.deepStrictEqual(plain(detections.map(entry => [entry.amount, entry.currency, entry.original])), [
+  [25, 'CAD', '$25'],
+  [60, 'CHF', '60 CHF'],
+]);
+assert.ok(context.createExternalResponse('detect', { detections }));
+assert.deepStrictEqual(plain(context.detectExternalAmounts('no prices', 'auto', context.DEFAULT_SETTINGS)), []);
+
+console.log('external-api: all tests passed');
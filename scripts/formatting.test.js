@@ -23,5 +23,8 @@ assert.strictEqual(
   context.formatCompactCurrencyAmount(1020000, 'EUR', { multiplier: 1000000, label: 'M' }, 'us'),
   '1.02M',
 );
+// Just after local midnight it is already the new day, whatever the UTC date
+assert.strictEqual(context.localIsoDate(new Date(2026, 3, 2, 0, 30)), '2026-04-02');
+assert.strictEqual(context.localIsoDate(new Date(2026, 3, 1, 23, 59)), '2026-04-01');
 
 console.log('formatting: all tests passed');
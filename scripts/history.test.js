@@ -0,0 +1,134 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+async function run() {
+  const local = {};
+  const context = {
+    console,
+    Intl,
+    URL,
+    crypto,
+    chrome: {
+      storage: {
+        local: {
+          get: async key => ({ [key]: local[key] }),
+          set: async (values) => {
+            Object.assign(local, values);
+          },
+        },
+      },
+    },
+  };
+
+  vm.createContext(context);
+  vm.runInContext(
+    [
+      fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/background/history.js', 'utf8'),
+    ].join('\n'),
+    context,
+  );
+
+  // Only the origin and path of the page are kept
+  assert.strictEqual(
+    context.getHistoryPageUrl('https://shop.example/cart?session=abc#total'),
+    'https://shop.example/cart',
+  );
+  assert.strictEqual(context.getHistoryPageUrl('chrome://extensions/'), null);
+  assert.strictEqual(context.getHistoryPageUrl(undefined), null);
+
+  const entry = await context.recordConversionHistory({
+    url: 'https://shop.example/item/1?ref=mail',
+    originalAmount: 120,
+    originalCurrency: 'CHF',
+    convertedAmount: 130.08,
+    targetCurrency: 'EUR',
+    rateDate: '2026-04-02',
+  });
+  assert.strictEqual(entry.url, 'https://shop.example/item/1');
+  assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+  assert.deepStrictEqual(plain(local.conversionHistory), [plain(entry)]);
+
+  // Newest first, capped at the retention limit
+  for (let index = 0; index < context.LIMITS.MAX_HISTORY_ENTRIES; index++) {
+    await context.recordConversionHistory({
+      originalAmount: index,
+      originalCurrency: 'USD',
+      convertedAmount: index,
+      targetCurrency: 'EUR',
+      rateDate: null,
+    });
+  }
+  assert.strictEqual(local.conversionHistory.length, context.LIMITS.MAX_HISTORY_ENTRIES);
+  assert.strictEqual(local.conversionHistory[0].originalAmount, context.LIMITS.MAX_HISTORY_ENTRIES - 1);
+  assert.strictEqual(local.conversionHistory[0].url, null);
+  assert.ok(!local.conversionHistory.some(item => item.originalCurrency === 'CHF'));
+
+  // Writes issued together are applied one after the other, and an entry with the same id is replaced
+  const conversion = {
+    originalAmount: 10,
+    originalCurrency: 'GBP',
+    convertedAmount: 11.6,
+    targetCurrency: 'EUR',
+    rateDate: null,
+  };
+  const [first, second] = await Promise.all([
+    context.recordConversionHistory(conversion),
+    context.recordConversionHistory({ ...conversion, originalAmount: 20 }),
+  ]);
+  assert.notStrictEqual(first.id, second.id);
+  assert.deepStrictEqual(plain(local.conversionHistory.slice(0, 2).map(item => item.id)), [second.id, first.id]);
+  await context.recordConversionHistory({ ...conversion, id: first.id, originalAmount: 30 });
+  assert.strictEqual(local.conversionHistory.length, context.LIMITS.MAX_HISTORY_ENTRIES);
+  assert.deepStrictEqual(
+    plain(local.conversionHistory.slice(0, 2).map(item => [item.id, item.originalAmount])),
+    [[first.id, 30], [second.id, 20]],
+  );
+
+  const history = [
+    {
+      url: 'https://shop.example/cart',
+      originalAmount: 120,
+      originalCurrency: 'CHF',
+      convertedAmount: 130.08,
+      targetCurrency: 'EUR',
+      rateDate: '2026-04-02',
+    },
+    {
+      url: 'https://news.example/a',
+      originalAmount: 5,
+      originalCurrency: 'USD',
+      convertedAmount: 4.6,
+      targetCurrency: 'EUR',
+      rateDate: '2026-04-01',
+    },
+    {
+      url: null,
+      originalAmount: 900,
+      originalCurrency: 'JPY',
+      convertedAmount: 5.55,
+      targetCurrency: 'EUR',
+      rateDate: null,
+    },
+  ];
+  const search = query => plain(context.searchConversionHistory(history, query)).map(item => item.originalAmount);
+  assert.deepStrictEqual(search(''), [120, 5, 900]);
+  assert.deepStrictEqual(search('shop'), [120]);
+  assert.deepStrictEqual(search('eur 2026-04'), [120, 5]);
+  assert.deepStrictEqual(search('  CHF   130.08 '), [120]);
+  assert.deepStrictEqual(search('jpy news'), []);
+  assert.deepStrictEqual(plain(context.searchConversionHistory(undefined, 'x')), []);
+
+  console.log('history: all tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
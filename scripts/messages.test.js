@@ -0,0 +1,130 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const context = { console, Intl };
+vm.createContext(context);
+vm.runInContext(
+  [
+    fs.readFileSync('src/shared/constants.js', 'utf8'),
+    fs.readFileSync('src/shared/messages.js', 'utf8'),
+  ].join('\n'),
+  context,
+);
+
+const { MESSAGE_RECEIVERS, MESSAGE_TYPES } = context;
+const detection = {
+  amount: 1234.5,
+  currencies: ['USD', 'CAD'],
+  original: '$1,234.50',
+  symbol: '$',
+  start: 0,
+  end: 9,
+  negativeStyle: null,
+  selectionText: '$1,234.50',
+};
+
+// Messages are built with the protocol version; undefined fields are dropped
+const detected = context.createMessage(MESSAGE_TYPES.CURRENCY_DETECTED, {
+  detection: { ...detection, compact: undefined },
+  targetCurrency: undefined,
+});
+assert.deepStrictEqual(plain(detected), { type: 'currency-detected', version: 1, detection });
+assert.strictEqual(context.validateMessage(detected, MESSAGE_RECEIVERS.BACKGROUND), detected);
+assert.deepStrictEqual(plain(context.createMessage(MESSAGE_TYPES.TOGGLE_HYBRID)), { type: 'toggle-hybrid', version: 1 });
+const recalculation = {
+  type: 'recalculate-conversion',
+  version: 1,
+  data: {
+    amount: 12,
+    fromCurrency: 'USD',
+    targetCurrency: 'EUR',
+    outputFormat: 'smart',
+    negativeStyle: 'parentheses',
+    compact: { multiplier: 1000, label: 'K' },
+    possibleCurrencies: ['USD'],
+    asOf: '2026-04-01',
+  },
+};
+assert.strictEqual(context.validateMessage(recalculation, MESSAGE_RECEIVERS.BACKGROUND), recalculation);
+
+// Malformed input is rejected with an explicit reason
+const rejects = (message, receiver, reason) => assert.throws(
+  () => context.validateMessage(message, receiver),
+  error => error.message === reason,
+);
+const background = MESSAGE_RECEIVERS.BACKGROUND;
+rejects(undefined, background, 'Message must be an object');
+rejects('get-rates', background, 'Message must be an object');
+rejects([], background, 'Message must be an object');
+rejects({ version: 1 }, background, 'Unknown message type for background: undefined');
+rejects({ type: 'toString', version: 1 }, background, 'Unknown message type for background: toString');
+rejects({ type: 'delete-everything', version: 1 }, background, 'Unknown message type for background: delete-everything');
+// Each receiver accepts only its own message types
+rejects({ type: 'show-conversion', version: 1 }, background, 'Unknown message type for background: show-conversion');
+rejects({ type: 'get-rates', version: 1 }, MESSAGE_RECEIVERS.CONTENT, 'Unknown message type for content: get-rates');
+rejects({ type: 'get-rates' }, background, 'Unsupported get-rates message version undefined; expected 1');
+rejects({ type: 'get-rates', version: 2 }, background, 'Unsupported get-rates message version 2; expected 1');
+rejects({ type: 'get-rates', version: 1, force: true }, background, 'Invalid get-rates message: "force" is not a known field');
+rejects({ type: 'currency-detected', version: 1 }, background, 'Invalid currency-detected message: "detection" is required');
+rejects(
+  { type: 'currency-detected', version: 1, detection: 'USD 5' },
+  background,
+  'Invalid currency-detected message: "detection" must be an object',
+);
+rejects(
+  { type: 'currency-detected', version: 1, detection: { ...detection, amount: NaN } },
+  background,
+  'Invalid currency-detected message: "detection"."amount" must be a finite number',
+);
+rejects(
+  { type: 'currency-detected', version: 1, detection: { ...detection, currencies: ['USD', 'us dollar'] } },
+  background,
+  'Invalid currency-detected message: "detection"."currencies"[1] must be a three-letter currency code',
+);
+rejects(
+  { type: 'currency-detected', version: 1, detection: { ...detection, selectionText: '$'.repeat(201) } },
+  background,
+  'Invalid currency-detected message: "detection"."selectionText" must be at most 200 characters',
+);
+rejects(
+  { type: 'currency-detected', version: 1, detection: { ...detection, negativeStyle: 'minus' } },
+  background,
+  'Invalid currency-detected message: "detection"."negativeStyle" must be one of sign, parentheses',
+);
+rejects(
+  { type: 'currency-detected', version: 1, detection: { ...detection, compact: { multiplier: 1000 } } },
+  background,
+  'Invalid currency-detected message: "detection"."compact"."label" is required',
+);
+rejects(
+  { type: 'convert-as-of', version: 1, data: { amount: 1, fromCurrency: 'USD', targetCurrency: 'EUR', asOf: null } },
+  background,
+  'Invalid convert-as-of message: "data"."asOf" must be a YYYY-MM-DD date',
+);
+rejects(
+  { type: 'get-rate-series', version: 1, data: { from: 'USD', to: 'EUR', days: '30' } },
+  background,
+  'Invalid get-rate-series message: "data"."days" must be a finite number',
+);
+rejects(
+  { type: 'show-conversion', version: 1, data: { originalAmount: 1 } },
+  MESSAGE_RECEIVERS.CONTENT,
+  'Invalid show-conversion message: "data"."originalCurrency" is required',
+);
+
+// Senders find out about their own mistakes before anything is posted
+assert.throws(
+  () => context.createMessage(MESSAGE_TYPES.GET_RATE_SERIES, { data: { from: 'usd', to: 'EUR' } }),
+  /"data"\."from" must be a three-letter currency code/,
+);
+assert.throws(() => context.createMessage('made-up'), /Unknown message type/);
+
+assert.deepStrictEqual(plain(context.createMessageError('Nope')), { status: 'error', version: 1, message: 'Nope' });
+
+console.log('messages: all tests passed');
@@ -0,0 +1,65 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const context = { console, Intl };
+vm.createContext(context);
+vm.runInContext(
+  [
+    fs.readFileSync('src/shared/constants.js', 'utf8'),
+    fs.readFileSync('src/content/currency-detector.js', 'utf8'),
+    fs.readFileSync('src/background/omnibox.js', 'utf8'),
+  ].join('\n'),
+  context,
+);
+
+const config = {
+  ...context.DEFAULT_SETTINGS,
+  defaultDollarCurrency: 'CAD',
+  customCurrencies: [{ code: 'AED', name: 'UAE dirham', symbol: 'Dh', base: 'USD', rate: 3.6725 }],
+};
+const parse = text => plain(context.parseOmniboxQuery(text, config));
+
+// Same parsing rules as page selections: codes, names, symbols and number formats
+assert.deepStrictEqual(parse('120 chf to eur'), { amount: 120, fromCurrency: 'CHF', targetCurrencies: ['EUR'] });
+assert.deepStrictEqual(parse('€1.299,50 in dollars'), { amount: 1299.5, fromCurrency: 'EUR', targetCurrencies: ['USD'] });
+assert.deepStrictEqual(parse('50 bucks into swiss francs'), { amount: 50, fromCurrency: 'USD', targetCurrencies: ['CHF'] });
+assert.deepStrictEqual(parse('$50 = gbp, jpy'), { amount: 50, fromCurrency: 'CAD', targetCurrencies: ['GBP', 'JPY'] });
+assert.deepStrictEqual(parse('2.5k sek to usd and aed'), { amount: 2500, fromCurrency: 'SEK', targetCurrencies: ['USD', 'AED'] });
+assert.deepStrictEqual(parse('  120 CHF  '), { amount: 120, fromCurrency: 'CHF', targetCurrencies: [] });
+
+// Unknown targets or a missing source currency give no suggestions
+assert.strictEqual(context.parseOmniboxQuery('120 chf to mars bucks', config), null);
+assert.strictEqual(context.parseOmniboxQuery('120 to eur', config), null);
+assert.strictEqual(context.parseOmniboxQuery('', config), null);
+assert.strictEqual(context.parseOmniboxQuery('1 eur '.repeat(50), config), null);
+
+const suggestion = plain(context.formatOmniboxSuggestion({
+  amount: 120,
+  fromCurrency: 'CHF',
+  targetCurrency: 'EUR',
+  conversion: { convertedAmount: 130.08, feeMarkupPercent: 2 },
+  rateDate: '2026-04-02',
+}, 'us'));
+assert.deepStrictEqual(suggestion, {
+  content: '120 CHF to EUR',
+  description: '120.00 CHF = <match>130.08 EUR</match> <dim>(incl. 2% fee, rates of 2026-04-02)</dim>',
+});
+assert.strictEqual(
+  context.formatOmniboxSuggestion({
+    amount: 5,
+    fromCurrency: 'EUR',
+    targetCurrency: 'JPY',
+    conversion: { convertedAmount: 812, feeMarkupPercent: 0 },
+    rateDate: null,
+  }, 'eu').description,
+  '5,00 EUR = <match>812 JPY</match>',
+);
+assert.strictEqual(context.escapeOmniboxText('<a & b>'), '&lt;a &amp; b&gt;');
+
+console.log('omnibox: all tests passed');
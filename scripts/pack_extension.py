@@ -2,6 +2,8 @@
 import os
 import zipfile
 
+from update_seed_rates import update_seed_rates
+
 def pack_extension():
     # Define the name of the output zip file
     zip_filename = 'open-source-currency-converter.zip'
@@ -23,6 +25,9 @@ def pack_extension():
     root_dir = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
     output_path = os.path.join(root_dir, zip_filename)
 
+    # A release must not ship stale fallback rates; this fails when the ECB cannot be reached
+    update_seed_rates()
+
     print(f"Creating {zip_filename}...")
 
     try:
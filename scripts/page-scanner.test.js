@@ -9,6 +9,7 @@ vm.createContext(context);
 vm.runInContext(
   [
     fs.readFileSync('src/shared/constants.js', 'utf8'),
+    fs.readFileSync('src/shared/decimal.js', 'utf8'),
     fs.readFileSync('src/content/currency-detector.js', 'utf8'),
     pageScannerSource,
   ].join('\n'),
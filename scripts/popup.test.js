@@ -5,7 +5,14 @@ const vm = require('vm');
 
 const context = { console, Intl };
 vm.createContext(context);
-vm.runInContext(fs.readFileSync('src/shared/constants.js', 'utf8'), context);
+vm.runInContext(
+  [
+    fs.readFileSync('src/shared/constants.js', 'utf8'),
+    fs.readFileSync('src/shared/messages.js', 'utf8'),
+    fs.readFileSync('src/shared/settings.js', 'utf8'),
+  ].join('\n'),
+  context,
+);
 
 assert.strictEqual(
   JSON.stringify(context.filterCurrencyCodes('hun')),
@@ -35,6 +42,59 @@ assert.strictEqual(multipleSearch.codes.length, 6);
 assert.strictEqual(multipleSearch.selectedCode, '');
 assert.strictEqual(multipleSearch.autoSelectedCode, null);
 
+const customCurrencies = context.normalizeCustomCurrencies([
+  { code: 'aed', name: ' UAE dirham ', symbol: 'Dh', base: 'usd', rate: '3.6725' },
+  { code: 'AED', name: 'Duplicate', base: 'USD', rate: 4 },
+  { code: 'GBP', name: 'Shadows ECB', base: 'EUR', rate: 1 },
+  { code: 'SAR', name: 'Saudi riyal', base: 'USD', rate: 0 },
+  { code: 'EGP', symbol: 'E£12', base: 'EUR', rate: 52 },
+]);
+assert.deepStrictEqual(JSON.parse(JSON.stringify(customCurrencies)), [
+  { code: 'AED', name: 'UAE dirham', symbol: 'Dh', base: 'USD', rate: 3.6725 },
+  { code: 'EGP', name: 'EGP', symbol: '', base: 'EUR', rate: 52 },
+]);
+assert.strictEqual(
+  JSON.stringify(context.filterCurrencyCodes('dirham', context.getCurrencyNames(customCurrencies))),
+  JSON.stringify(['AED']),
+);
+assert.strictEqual(context.getCurrencyNames(customCurrencies).AED, 'UAE dirham');
+assert.ok(!('AED' in context.CURRENCY_NAMES));
+assert.deepStrictEqual(
+  JSON.parse(JSON.stringify(context.getCurrencySymbols([
+    { code: 'XCD', symbol: '$', base: 'USD', rate: 2.7 },
+  ])['$'])),
+  ['USD', 'AUD', 'CAD', 'NZD', 'SGD', 'HKD', 'XCD'],
+);
+
+assert.deepStrictEqual(
+  JSON.parse(JSON.stringify(context.normalizeSecondaryTargets(
+    ['eur', 'GBP', 'USD', 'EUR', 'XXX', 'AED', 'JPY', 'CHF', 'CAD'],
+    'USD',
+    customCurrencies,
+  ))),
+  ['EUR', 'GBP', 'AED', 'JPY'],
+);
+assert.strictEqual(context.normalizeSecondaryTargets(['AED'], 'USD').length, 0);
+assert.strictEqual(context.normalizeSecondaryTargets(null, 'USD').length, 0);
+
+const rateAlerts = context.normalizeRateAlerts([
+  { from: 'eur', to: 'usd', type: 'above', value: '1.10' },
+  { from: 'EUR', to: 'USD', type: 'above', value: 1.1 },
+  { from: 'GBP', to: 'EUR', type: 'change', value: 2 },
+  { from: 'GBP', to: 'GBP', type: 'below', value: 1 },
+  { from: 'AED', to: 'EUR', type: 'below', value: 0.25 },
+  { from: 'EUR', to: 'JPY', type: 'change', value: 150 },
+  { from: 'EUR', to: 'JPY', type: 'sideways', value: 1 },
+  { from: 'EUR', to: 'JPY', type: 'below', value: -1 },
+], customCurrencies);
+assert.deepStrictEqual(JSON.parse(JSON.stringify(rateAlerts)), [
+  { id: 'EUR/USD:above:1.1', from: 'EUR', to: 'USD', type: 'above', value: 1.1 },
+  { id: 'GBP/EUR:change:2', from: 'GBP', to: 'EUR', type: 'change', value: 2 },
+  { id: 'AED/EUR:below:0.25', from: 'AED', to: 'EUR', type: 'below', value: 0.25 },
+]);
+assert.strictEqual(context.normalizeRateAlerts([{ from: 'AED', to: 'EUR', type: 'below', value: 1 }]).length, 0);
+assert.strictEqual(context.normalizeRateAlerts('EUR/USD').length, 0);
+
 const popupSource = fs.readFileSync('src/popup/popup.html', 'utf8');
 const contentSource = fs.readFileSync('src/content/content.js', 'utf8');
 
@@ -138,6 +198,14 @@ assert.ok(
   'popup must not save a setting with only one valid choice',
 );
 assert.ok(!popupScript.includes("getElementById('defaultFrCurrency')"));
+assert.ok(popupSource.includes('<script src="../shared/settings.js"></script>'));
+for (const id of ['exportSettingsBtn', 'importSettingsFile', 'importPreview', 'importApplyBtn']) {
+  assert.ok(popupSource.includes(`id="${id}"`), `${id} must be in settings`);
+}
+assert.ok(
+  popupScript.includes('prepareSettingsImport(await file.text(), stored[STORAGE_KEYS.SETTINGS])'),
+  'imports must be validated and diffed against the stored settings before they are applied',
+);
 assert.ok(popupSource.includes('class="settings-gear"'));
 assert.ok(popupCss.includes('.settings-gear {'));
 assert.ok(popupCss.includes('.popup-panel {'));
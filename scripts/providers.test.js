@@ -0,0 +1,255 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const vm = require('vm');
+
+// A full-size feed, so it passes the minimum rate count check.
+const FEED_RATES = {
+  USD: 1.16, JPY: 171.5, BGN: 1.9558, CZK: 24.6, DKK: 7.46, GBP: 0.87, HUF: 399.5,
+  PLN: 4.26, RON: 5.07, SEK: 11.2, CHF: 0.93, ISK: 142.3, NOK: 11.8, TRY: 47.1,
+  AUD: 1.78, BRL: 6.45, CAD: 1.59, CNY: 8.33, HKD: 9.11, IDR: 18950, ILS: 3.9,
+  INR: 100.2, KRW: 1610, MXN: 21.8, MYR: 4.93, NZD: 1.94, PHP: 66.4, SGD: 1.49,
+  THB: 37.6, ZAR: 20.6,
+};
+
+const ECB_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope>
+  <Cube>
+    <Cube time="2026-07-24">
+${Object.entries(FEED_RATES).map(([code, rate]) => `      <Cube currency="${code}" rate="${rate}"/>`).join('\n')}
+      <Cube currency="XAU" rate="0.0003"/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+const FRANKFURTER_JSON = JSON.stringify({
+  amount: 1,
+  base: 'EUR',
+  date: '2026-07-24',
+  rates: { ...FEED_RATES, BAD: 'x' },
+});
+
+// A USD-based feed: 1 USD = 0.8 EUR = 0.75 GBP.
+const USD_BASE_JSON = JSON.stringify({
+  base: 'USD',
+  rates: { EUR: 0.8, GBP: 0.75 },
+});
+
+const ETAG = '"ecb-2026-07-24"';
+
+function startServer() {
+  const conditionalHeaders = [];
+  const routes = {
+    '/ecb.xml': [200, ECB_XML],
+    '/frankfurter.json': [200, FRANKFURTER_JSON],
+    '/usd.json': [200, USD_BASE_JSON],
+    '/down': [503, 'Service Unavailable'],
+  };
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/conditional.xml') {
+      conditionalHeaders.push({
+        etag: req.headers['if-none-match'] || null,
+        lastModified: req.headers['if-modified-since'] || null,
+      });
+      if (req.headers['if-none-match'] === ETAG) {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { ETag: ETAG, 'Last-Modified': 'Fri, 24 Jul 2026 14:00:00 GMT' });
+      res.end(ECB_XML);
+      return;
+    }
+    const [status, body] = routes[req.url] || [404, 'Not Found'];
+    res.writeHead(status);
+    res.end(body);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        requests,
+        conditionalHeaders,
+        url: path => `http://127.0.0.1:${server.address().port}${path}`,
+      });
+    });
+  });
+}
+
+function loadRuntime(settings = {}) {
+  const local = {};
+  const context = {
+    console: { ...console, warn: () => {} },
+    Intl,
+    AbortController,
+    // Keep the fetch timeout real but skip the retry backoff delays.
+    setTimeout: (callback, delay) => setTimeout(callback, delay >= 10000 ? delay : 1),
+    clearTimeout,
+    fetch,
+    chrome: {
+      storage: {
+        sync: { get: async () => ({ settings }) },
+        local: {
+          get: async (keys) => Object.fromEntries(
+            keys.filter(key => key in local).map(key => [key, local[key]]),
+          ),
+          set: async (values) => Object.assign(local, values),
+        },
+      },
+    },
+  };
+
+  vm.createContext(context);
+  vm.runInContext(
+    [
+      fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/decimal.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/shared/settings.js', 'utf8'),
+      fs.readFileSync('src/background/rates.js', 'utf8'),
+      fs.readFileSync('src/background/providers.js', 'utf8'),
+    ].join('\n'),
+    context,
+  );
+  return { context, local };
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+async function run() {
+  const { server, requests, conditionalHeaders, url } = await startServer();
+
+  try {
+    const { context } = loadRuntime();
+
+    assert.deepStrictEqual(
+      plain(await context.fetchRatesFromProvider(context.createEcbProvider({ url: url('/ecb.xml') }))),
+      {
+        date: '2026-07-24',
+        rates: { ...FEED_RATES, EUR: 1 },
+        validators: { etag: null, lastModified: null },
+      },
+      'unsupported codes are dropped and EUR is always 1',
+    );
+    assert.deepStrictEqual(
+      plain(await context.fetchRatesFromProvider(
+        context.createFrankfurterProvider({ url: url('/frankfurter.json') }),
+      )),
+      {
+        date: '2026-07-24',
+        rates: { ...FEED_RATES, EUR: 1 },
+        validators: { etag: null, lastModified: null },
+      },
+    );
+
+    const usdProvider = {
+      ...context.createFrankfurterProvider({ url: url('/usd.json') }),
+      id: 'usd-test',
+      name: 'USD test feed',
+      baseCurrency: 'USD',
+    };
+    const rebased = plain(await context.fetchRatesFromProvider(usdProvider)).rates;
+    assert.deepStrictEqual(Object.keys(rebased).sort(), ['EUR', 'GBP', 'USD']);
+    assert.strictEqual(rebased.EUR, 1);
+    assert.strictEqual(rebased.USD, 1.25);
+    assert.strictEqual(rebased.GBP, 0.9375);
+
+    await assert.rejects(
+      context.fetchRatesFromProvider(context.createEcbProvider({ url: url('/down') })),
+      /ECB API returned 503/,
+    );
+
+    assert.deepStrictEqual(
+      plain(context.getProviderChain(['frankfurter', 'unknown', 'frankfurter']).map(p => p.id)),
+      ['frankfurter'],
+    );
+    assert.deepStrictEqual(plain(context.getProviderChain([]).map(p => p.id)), ['ecb']);
+
+    // ECB down: the chain retries it, then answers from the backup provider.
+    const fallback = loadRuntime({ rateProviders: ['ecb', 'frankfurter'] });
+    fallback.context.RATE_PROVIDERS.ecb = fallback.context.createEcbProvider({ url: url('/down') });
+    fallback.context.RATE_PROVIDERS.frankfurter = fallback.context.createFrankfurterProvider({
+      url: url('/frankfurter.json'),
+    });
+    requests.length = 0;
+    const snapshot = plain(await fallback.context.fetchRatesFromChain());
+    assert.strictEqual(snapshot.rates.USD, 1.16);
+    assert.strictEqual(snapshot.rateDate, '2026-07-24');
+    assert.strictEqual(snapshot.provider, 'frankfurter');
+    assert.deepStrictEqual(requests, ['/down', '/down', '/down', '/frankfurter.json']);
+    assert.strictEqual(fallback.local.ratesProvider, 'frankfurter');
+    assert.strictEqual(fallback.local.ratesDate, '2026-07-24');
+    assert.deepStrictEqual(Object.keys(fallback.local.ratesLog), ['2026-07-24']);
+    assert.strictEqual(fallback.local.ratesLog['2026-07-24'].USD, 1.16);
+
+    // Without a backup the last error surfaces so callers can use cached rates.
+    const ecbOnly = loadRuntime({ rateProviders: ['ecb'] });
+    ecbOnly.context.RATE_PROVIDERS.ecb = ecbOnly.context.createEcbProvider({ url: url('/down') });
+    await assert.rejects(ecbOnly.context.fetchRatesFromChain(), /ECB API returned 503/);
+
+    // An unchanged feed answers 304: the cached rates stay, the fetch time moves.
+    const conditional = loadRuntime();
+    const conditionalEcb = conditional.context.createEcbProvider({ url: url('/conditional.xml') });
+    const first = plain(await conditional.context.fetchRates(conditionalEcb));
+    assert.strictEqual(conditional.local.ratesValidators.etag, ETAG);
+    conditional.local.ratesTimestamp = '2026-07-24T15:00:00.000Z';
+    const second = plain(await conditional.context.fetchRates(conditionalEcb));
+    assert.deepStrictEqual(conditionalHeaders, [
+      { etag: null, lastModified: null },
+      { etag: ETAG, lastModified: 'Fri, 24 Jul 2026 14:00:00 GMT' },
+    ]);
+    assert.deepStrictEqual(second.rates, first.rates);
+    assert.strictEqual(second.rateDate, '2026-07-24');
+    assert.notStrictEqual(conditional.local.ratesTimestamp, '2026-07-24T15:00:00.000Z');
+
+    // A truncated feed is quarantined and the last good rates stay cached.
+    const truncated = loadRuntime();
+    Object.assign(truncated.local, {
+      rates: conditional.local.rates,
+      ratesDate: '2026-07-23',
+    });
+    await assert.rejects(
+      truncated.context.fetchRates(truncated.context.createFrankfurterProvider({ url: url('/usd.json') })),
+      /Frankfurter rates rejected: only 2 rates/,
+    );
+    assert.strictEqual(truncated.local.rates, conditional.local.rates);
+    assert.strictEqual(truncated.local.ratesQuarantine.provider, 'frankfurter');
+    assert.strictEqual(truncated.local.ratesLog, undefined);
+    assert.match(truncated.local.ratesQuarantine.reason, /only 2 rates/);
+
+    // Rejected data is not fetched again: the chain moves straight on to the backup.
+    const rejected = loadRuntime({ rateProviders: ['ecb', 'frankfurter'] });
+    rejected.context.RATE_PROVIDERS.ecb = {
+      ...rejected.context.createFrankfurterProvider({ url: url('/usd.json') }),
+      id: 'ecb',
+      name: 'ECB test feed',
+    };
+    rejected.context.RATE_PROVIDERS.frankfurter = rejected.context.createFrankfurterProvider({
+      url: url('/frankfurter.json'),
+    });
+    requests.length = 0;
+    assert.strictEqual(plain(await rejected.context.fetchRatesFromChain()).provider, 'frankfurter');
+    assert.deepStrictEqual(requests, ['/usd.json', '/frankfurter.json']);
+    assert.strictEqual(rejected.local.ratesQuarantine.provider, 'ecb');
+
+    // Validators from another provider are never sent.
+    conditional.local.ratesValidators = { provider: 'frankfurter', etag: ETAG, lastModified: null };
+    await conditional.context.fetchRates(conditionalEcb);
+    assert.deepStrictEqual(conditionalHeaders[2], { etag: null, lastModified: null });
+  } finally {
+    server.close();
+  }
+
+  console.log('providers: all tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
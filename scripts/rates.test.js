@@ -0,0 +1,379 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+const HISTORY_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+  <Cube>
+    <Cube time="2026-04-07">
+      <Cube currency="USD" rate="1.1000"/>
+      <Cube currency="GBP" rate="0.8500"/>
+    </Cube>
+    <Cube time="2026-04-02">
+      <Cube currency="USD" rate="1.0800"/>
+      <Cube currency="GBP" rate="0.8400"/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+function loadRuntime({ local = {}, responses = {} } = {}) {
+  const fetchedUrls = [];
+  const context = {
+    console,
+    Intl,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    fetch: async (url) => {
+      fetchedUrls.push(url);
+      const body = responses[url];
+      return {
+        ok: body != null,
+        status: body != null ? 200 : 503,
+        text: async () => body,
+      };
+    },
+    chrome: {
+      storage: {
+        local: {
+          get: async (keys) => Object.fromEntries(
+            keys.filter(key => key in local).map(key => [key, local[key]]),
+          ),
+          set: async (values) => Object.assign(local, values),
+        },
+      },
+    },
+  };
+
+  vm.createContext(context);
+  vm.runInContext(
+    [
+      fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/decimal.js', 'utf8'),
+      fs.readFileSync('src/shared/seed-rates.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/shared/settings.js', 'utf8'),
+      fs.readFileSync('src/background/rates.js', 'utf8'),
+    ].join('\n'),
+    context,
+  );
+  return { context, local, fetchedUrls };
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+async function testHistoryParsing() {
+  const { context } = loadRuntime();
+  const history = plain(context.parseEcbHistoryXml(HISTORY_XML));
+
+  assert.deepStrictEqual(Object.keys(history).sort(), ['2026-04-02', '2026-04-07']);
+  assert.deepStrictEqual(history['2026-04-02'], { USD: 1.08, GBP: 0.84, EUR: 1 });
+}
+
+async function testBusinessDays() {
+  const { context } = loadRuntime();
+
+  assert.strictEqual(context.getEasterSunday(2026), '2026-04-05');
+  assert.strictEqual(context.getEasterSunday(2024), '2024-03-31');
+  assert.strictEqual(context.isTargetBusinessDay('2026-04-02'), true);
+  assert.strictEqual(context.isTargetBusinessDay('2026-04-03'), false, 'Good Friday');
+  assert.strictEqual(context.isTargetBusinessDay('2026-04-06'), false, 'Easter Monday');
+  assert.strictEqual(context.isTargetBusinessDay('2026-05-01'), false);
+  assert.strictEqual(context.isTargetBusinessDay('2026-12-25'), false);
+  assert.strictEqual(context.isTargetBusinessDay('2026-12-26'), false);
+  assert.strictEqual(context.isTargetBusinessDay('2026-07-25'), false, 'Saturday');
+  assert.strictEqual(context.isTargetBusinessDay('2026-02-30'), false, 'invalid date');
+  assert.strictEqual(context.getPreviousBusinessDay('2026-04-06'), '2026-04-02');
+  assert.strictEqual(context.getPreviousBusinessDay('2026-07-26'), '2026-07-24');
+}
+
+async function testPublicationDateStaleness() {
+  const { context } = loadRuntime();
+  // Monday 27 July 2026, 10:00 and 17:00 in Frankfurt (CEST, UTC+2).
+  const mondayMorning = Date.parse('2026-07-27T08:00:00Z');
+  const mondayEvening = Date.parse('2026-07-27T15:00:00Z');
+  const fetchedMinutesAgo = now => new Date(now - 5 * 60 * 1000).toISOString();
+  const fetchedHoursAgo = now => new Date(now - 2 * 60 * 60 * 1000).toISOString();
+
+  assert.strictEqual(context.parseEcbRateDate(HISTORY_XML), '2026-04-07');
+  assert.strictEqual(context.parseEcbRateDate('<Cube></Cube>'), null);
+
+  assert.strictEqual(context.getExpectedRateDate(mondayMorning), '2026-07-24');
+  assert.strictEqual(context.getExpectedRateDate(mondayEvening), '2026-07-27');
+  assert.strictEqual(
+    context.isRateStale('2026-07-24', fetchedHoursAgo(mondayMorning), mondayMorning),
+    false,
+    "Friday's rates are current until Monday's publication",
+  );
+  assert.strictEqual(
+    context.isRateStale('2026-07-24', fetchedHoursAgo(mondayEvening), mondayEvening),
+    true,
+  );
+  assert.strictEqual(
+    context.isRateStale('2026-07-24', fetchedMinutesAgo(mondayEvening), mondayEvening),
+    false,
+    'a late publication is rechecked at most hourly',
+  );
+  assert.strictEqual(context.isRateStale(null, fetchedMinutesAgo(mondayMorning), mondayMorning), true);
+}
+
+async function testRefreshScheduling() {
+  const { context } = loadRuntime();
+  const fridayEvening = Date.parse('2026-07-24T15:00:00Z'); // 17:00 CEST
+  const mondayMorning = Date.parse('2026-07-27T08:00:00Z'); // 10:00 CEST
+  const mondayEvening = Date.parse('2026-07-27T15:00:00Z'); // 17:00 CEST
+  const winterMorning = Date.parse('2026-01-15T10:00:00Z'); // 11:00 CET
+
+  assert.strictEqual(
+    new Date(context.getNextRefreshTime('2026-07-24', fridayEvening)).toISOString(),
+    '2026-07-27T14:15:00.000Z',
+    'after Friday publication the next check is Monday 16:15 Frankfurt time',
+  );
+  assert.strictEqual(
+    new Date(context.getNextRefreshTime('2026-07-24', mondayMorning)).toISOString(),
+    '2026-07-27T14:15:00.000Z',
+  );
+  assert.strictEqual(
+    context.getNextRefreshTime('2026-07-24', mondayEvening),
+    mondayEvening + 30 * 60 * 1000,
+    'rates behind the publication are retried every 30 minutes',
+  );
+  assert.strictEqual(
+    new Date(context.getNextRefreshTime('2026-01-14', winterMorning)).toISOString(),
+    '2026-01-15T15:15:00.000Z',
+  );
+  assert.strictEqual(
+    new Date(context.getNextRefreshTime('2026-04-02', Date.parse('2026-04-02T15:00:00Z'))).toISOString(),
+    '2026-04-07T14:15:00.000Z',
+    'Good Friday and Easter Monday are skipped',
+  );
+}
+
+async function testRateValidation() {
+  const { context } = loadRuntime();
+  const codes = context.ECB_CURRENCIES.filter(code => code !== 'HRK');
+  const good = Object.fromEntries(codes.map((code, index) => [code, index + 1]));
+  const cached = { rates: good, rateDate: '2026-07-23' };
+
+  assert.strictEqual(context.validateRateSet(good, '2026-07-24', { rates: null }).valid, true);
+  assert.strictEqual(context.validateRateSet(good, '2026-07-24', cached).valid, true);
+
+  const few = Object.fromEntries(codes.slice(0, 5).map(code => [code, good[code]]));
+  assert.match(context.validateRateSet(few, '2026-07-24', { rates: null }).reason, /only 5 rates/);
+
+  const { USD, GBP, JPY, ...withoutThree } = good;
+  assert.match(context.validateRateSet(withoutThree, '2026-07-24', cached).reason, /missing USD, JPY, GBP/);
+  const { USD: droppedUsd, ...withoutOne } = good;
+  assert.strictEqual(
+    context.validateRateSet(withoutOne, '2026-07-24', cached).valid,
+    true,
+    'a single discontinued currency is tolerated',
+  );
+
+  const jumped = { ...good, USD: good.USD * 2 };
+  assert.match(context.validateRateSet(jumped, '2026-07-24', cached).reason, /implausible change for USD/);
+  assert.strictEqual(
+    context.validateRateSet(jumped, '2026-09-24', cached).valid,
+    true,
+    'large moves are accepted against an old cache',
+  );
+
+  assert.match(context.validateRateSet({ ...good, USD: 0 }, '2026-07-24', cached).reason, /invalid rates for USD/);
+  assert.match(context.validateRateSet(good, '2026-07-20', cached).reason, /older than cached/);
+  assert.ok(USD && GBP && JPY && droppedUsd);
+}
+
+async function testCustomCurrencyRates() {
+  const { context } = loadRuntime();
+  const custom = [
+    { code: 'AED', name: 'UAE dirham', base: 'USD', rate: 3.6725 },
+    { code: 'XAF', name: 'Central African CFA franc', base: 'EUR', rate: 655.957 },
+    { code: 'USD', base: 'EUR', rate: 2 },
+    { code: 'SAR', base: 'XYZ', rate: 3.75 },
+  ];
+  const rates = context.applyCustomRates({ EUR: 1, USD: 1.1 }, custom);
+
+  assert.deepStrictEqual(Object.keys(rates).sort(), ['AED', 'EUR', 'USD', 'XAF']);
+  assert.strictEqual(rates.USD, 1.1);
+  assert.strictEqual(Math.round(context.convertCurrency(100, 'USD', 'AED', rates) * 100) / 100, 367.25);
+  assert.strictEqual(Math.round(context.convertCurrency(1000, 'XAF', 'EUR', rates) * 100) / 100, 1.52);
+  assert.strictEqual(context.applyCustomRates(null, custom), null);
+
+  const pegOnMissingBase = context.applyCustomRates({ EUR: 1 }, custom);
+  assert.ok(!('AED' in pegOnMissingBase));
+}
+
+async function testFeeMarkup() {
+  const { context } = loadRuntime();
+  const rates = { EUR: 1, USD: 1.1, GBP: 0.85 };
+  const settings = { feeMarkupPercent: 2, feeMarkupByCurrency: { GBP: 0, JPY: 99 } };
+
+  assert.strictEqual(context.getFeeMarkupPercent(settings, 'USD'), 2);
+  assert.strictEqual(context.getFeeMarkupPercent(settings, 'GBP'), 0);
+  assert.strictEqual(context.getFeeMarkupPercent(settings, 'JPY'), 0);
+  assert.strictEqual(context.getFeeMarkupPercent({ feeMarkupPercent: -1 }, 'USD'), 0);
+  assert.strictEqual(context.getFeeMarkupPercent(null, 'USD'), 0);
+
+  const midMarket = context.convertCurrency(100, 'EUR', 'USD', rates);
+  const withFee = context.convertCurrency(100, 'EUR', 'USD', rates, { markupPercent: 2 });
+  assert.strictEqual(Math.round(midMarket * 100) / 100, 110);
+  assert.strictEqual(Math.round(withFee * 100) / 100, 112.2);
+  assert.strictEqual(context.convertCurrency(100, 'USD', 'USD', rates, { markupPercent: 2 }), 100);
+}
+
+async function testSeedRates() {
+  const { context } = loadRuntime();
+  const seed = context.getSeedRates();
+
+  assert.ok(context.parseIsoDate(seed.rateDate));
+  assert.strictEqual(seed.timestamp, null);
+  assert.strictEqual(context.isSeedSnapshot(seed), true);
+  assert.strictEqual(context.isRateStale(seed.rateDate, seed.timestamp), true);
+  assert.deepStrictEqual(plain(context.validateRateSet(seed.rates, seed.rateDate, {})), { valid: true, reason: null });
+  Object.keys(seed.rates).forEach(code => assert.ok(context.ECB_CURRENCIES.includes(code), code));
+}
+
+async function testRateLog() {
+  const { context, local } = loadRuntime({
+    local: {
+      ratesHistory: {
+        '2026-03-02': { USD: 1.05, GBP: 0.83 },
+        '2026-04-02': { USD: 1.07, GBP: 0.84 },
+      },
+    },
+  });
+
+  await context.recordRateLog({ rateDate: '2026-04-02', rates: { EUR: 1, USD: 1.08, GBP: 0.84 } });
+  await context.recordRateLog({ rateDate: '2026-04-07', rates: { EUR: 1, USD: 1.1, GBP: 0.85 } });
+  await context.recordRateLog({ rateDate: null, rates: { EUR: 1, USD: 2 } });
+  assert.deepStrictEqual(Object.keys(local.ratesLog), ['2026-04-02', '2026-04-07']);
+
+  // The log wins over the 90-day feed for the same date; the window ends at the newest date
+  const series = plain(await context.getRateSeries('EUR', 'USD', { days: 30 }));
+  assert.deepStrictEqual(series, [
+    { date: '2026-04-02', rate: 1.08 },
+    { date: '2026-04-07', rate: 1.1 },
+  ]);
+  assert.strictEqual((await context.getRateSeries('EUR', 'USD', { days: 60 })).length, 3);
+
+  const crossSeries = plain(await context.getRateSeries('GBP', 'USD', { days: 1 }));
+  assert.deepStrictEqual(crossSeries, [{ date: '2026-04-07', rate: 1.1 / 0.85 }]);
+
+  const customSeries = plain(await context.getRateSeries('AED', 'EUR', {
+    customCurrencies: [{ code: 'AED', name: 'UAE dirham', base: 'USD', rate: 3.6725 }],
+  }));
+  assert.strictEqual(customSeries.length, 2);
+  assert.strictEqual(customSeries[1].rate, 1 / (1.1 * 3.6725));
+  assert.deepStrictEqual(plain(await context.getRateSeries('EUR', 'XXX')), []);
+
+  // Only the newest dates are kept
+  for (let day = 0; day < 410; day++) {
+    await context.recordRateLog({ rateDate: context.addDays('2027-01-01', day), rates: { EUR: 1, USD: 1 } });
+  }
+  const kept = Object.keys(local.ratesLog);
+  assert.strictEqual(kept.length, 400);
+  assert.strictEqual(kept[kept.length - 1], context.addDays('2027-01-01', 409));
+}
+
+async function testSelectRatesAsOf() {
+  const { context } = loadRuntime();
+  const history = context.parseEcbHistoryXml(HISTORY_XML);
+
+  assert.strictEqual(context.selectRatesAsOf(history, '2026-04-07').date, '2026-04-07');
+  assert.strictEqual(context.selectRatesAsOf(history, '2026-04-05').date, '2026-04-02');
+  assert.strictEqual(context.selectRatesAsOf(history, '2026-04-06').date, '2026-04-02');
+  assert.strictEqual(context.selectRatesAsOf(history, '2026-03-01'), null);
+  assert.strictEqual(context.selectRatesAsOf(history, 'yesterday'), null);
+}
+
+async function testConvertAsOfUsesCachedHistory() {
+  const { context, fetchedUrls } = loadRuntime({
+    local: {
+      ratesHistory: plain(loadRuntime().context.parseEcbHistoryXml(HISTORY_XML)),
+      ratesHistoryTimestamp: new Date().toISOString(),
+    },
+  });
+
+  const result = await context.convertCurrencyAsOf(100, 'EUR', 'USD', '2026-04-04');
+  assert.strictEqual(result.rateDate, '2026-04-02');
+  assert.strictEqual(Math.round(result.convertedAmount * 100) / 100, 108);
+  assert.strictEqual(fetchedUrls.length, 0);
+}
+
+async function testOlderDatesFetchArchiveOnce() {
+  const archiveXml = HISTORY_XML
+    .replace('2026-04-07', '2001-03-06')
+    .replace('2026-04-02', '2001-03-05');
+  const { context, local, fetchedUrls } = loadRuntime({
+    local: {
+      ratesHistory: plain(loadRuntime().context.parseEcbHistoryXml(HISTORY_XML)),
+      ratesHistoryTimestamp: new Date().toISOString(),
+    },
+    responses: {
+      'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.xml': archiveXml,
+    },
+  });
+
+  const first = await context.getRatesAsOf('2001-03-05');
+  const second = await context.getRatesAsOf('2001-03-06');
+  assert.strictEqual(first.date, '2001-03-05');
+  assert.strictEqual(second.date, '2001-03-06');
+  assert.deepStrictEqual(fetchedUrls, ['https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.xml']);
+  assert.ok(local.ratesHistoryArchive['2001-03-05']);
+
+  await assert.rejects(context.getRatesAsOf('1998-12-31'), /start on 1999-01-04/);
+  await assert.rejects(context.getRatesAsOf('2026-13-01'), /Invalid date/);
+}
+
+async function testArchiveRefetchedForNewerDates() {
+  const feedXml = (first, second) => HISTORY_XML
+    .replace('2026-04-07', first)
+    .replace('2026-04-02', second);
+  const { context, local, fetchedUrls } = loadRuntime({
+    local: {
+      ratesHistory: plain(loadRuntime().context.parseEcbHistoryXml(HISTORY_XML)),
+      ratesHistoryTimestamp: '2026-04-07T16:30:00.000Z',
+      ratesHistoryArchive: plain(loadRuntime().context.parseEcbHistoryXml(feedXml('2001-03-06', '2001-03-05'))),
+    },
+    responses: {
+      'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist-90d.xml': feedXml('2026-09-02', '2026-09-01'),
+      'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.xml': feedXml('2026-05-04', '2020-06-15'),
+    },
+  });
+
+  // Newer than the cached archive but older than the 90-day window
+  assert.strictEqual((await context.getRatesAsOf('2020-06-15')).date, '2020-06-15');
+  assert.deepStrictEqual(fetchedUrls, ['https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.xml']);
+
+  // A stale recent cache is refreshed first; its new window misses the date
+  fetchedUrls.length = 0;
+  assert.strictEqual((await context.getRatesAsOf('2026-05-04')).date, '2026-05-04');
+  assert.deepStrictEqual(fetchedUrls, ['https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist-90d.xml']);
+  assert.ok(local.ratesHistory['2026-09-01']);
+}
+
+async function run() {
+  await testHistoryParsing();
+  await testBusinessDays();
+  await testPublicationDateStaleness();
+  await testRefreshScheduling();
+  await testRateValidation();
+  await testCustomCurrencyRates();
+  await testFeeMarkup();
+  await testSeedRates();
+  await testRateLog();
+  await testSelectRatesAsOf();
+  await testConvertAsOfUsesCachedHistory();
+  await testOlderDatesFetchArchiveOnce();
+  await testArchiveRefetchedForNewerDates();
+
+  console.log('rates: all tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
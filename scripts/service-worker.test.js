@@ -13,8 +13,11 @@ async function testContentCaching() {
   let rateRequestCalls = 0;
   let storageChangeListener = null;
   let selectionChangeListener = null;
+  let contentMessageListener = null;
   const scannerInitCalls = [];
   const scannerUpdateCalls = [];
+  const detectorCustomCalls = [];
+  const tooltipShowCalls = [];
 
   const fastSetTimeout = (callback, delay) => setTimeout(
     callback,
@@ -44,7 +47,11 @@ async function testContentCaching() {
     },
     chrome: {
       runtime: {
-        onMessage: { addListener: () => {} },
+        onMessage: {
+          addListener: (listener) => {
+            contentMessageListener = listener;
+          },
+        },
         sendMessage: async (message) => {
           if (message.type === 'get-rates') {
             rateRequestCalls++;
@@ -68,11 +75,15 @@ async function testContentCaching() {
       },
     },
     CurrencyTooltip: {
+      setCustomCurrencies: () => {},
       remove: () => {},
-      show: () => {},
+      clearPinned: () => {},
+      show: (...args) => tooltipShowCalls.push(args),
+      hasFocus: () => false,
     },
     CurrencyDetector: {
       detectCurrency: () => null,
+      setCustomCurrencies: (list) => detectorCustomCalls.push(list),
     },
     PageScanner: {
       init: (...args) => scannerInitCalls.push(args),
@@ -84,6 +95,9 @@ async function testContentCaching() {
   vm.runInContext(
     [
       fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/decimal.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/shared/settings.js', 'utf8'),
       fs.readFileSync('src/content/content.js', 'utf8'),
     ].join('\n'),
     context,
@@ -141,14 +155,170 @@ async function testContentCaching() {
   }, 'sync');
   assert.strictEqual(rateRequestCalls, 1);
   assert.strictEqual(scannerUpdateCalls.length, 3);
+
+  // New custom currencies change the merged rate map, so scanner rates are reloaded
+  const themedSettings = storedSettings;
+  storedSettings = {
+    ...storedSettings,
+    disabledDomains: [],
+    customCurrencies: [{ code: 'AED', name: 'UAE dirham', base: 'USD', rate: 3.6725 }],
+  };
+  await storageChangeListener({
+    settings: {
+      oldValue: themedSettings,
+      newValue: storedSettings,
+    },
+  }, 'sync');
+  assert.strictEqual(rateRequestCalls, 2);
+  assert.strictEqual(detectorCustomCalls[detectorCustomCalls.length - 1][0].code, 'AED');
+
+  // The Hybrid shortcut overrides the saved mode for this tab only
+  contentMessageListener({ type: 'toggle-hybrid', version: 1 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(scannerUpdateCalls[scannerUpdateCalls.length - 1][0].conversionMode, 'interactive');
+  assert.strictEqual(scannerUpdateCalls[scannerUpdateCalls.length - 1][1], null);
+  contentMessageListener({ type: 'toggle-hybrid', version: 1 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(scannerUpdateCalls[scannerUpdateCalls.length - 1][0].conversionMode, 'auto');
+  assert.ok(scannerUpdateCalls[scannerUpdateCalls.length - 1][1]);
+
+  // Conversions that do not match the message schema never reach the tooltip
+  contentMessageListener({ type: 'show-conversion', version: 1, data: { originalAmount: 10 } });
+  assert.strictEqual(tooltipShowCalls.length, 0);
+
+  const customCallsBeforeShortcut = detectorCustomCalls.length;
+  contentMessageListener({ type: 'convert-selection', version: 1 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(detectorCustomCalls.length, customCallsBeforeShortcut + 1);
+}
+
+async function testSeedRatesWhenOffline() {
+  let sentMessage = null;
+  let fetchCalls = 0;
+  const context = {
+    console: { ...console, warn: () => {}, error: () => {} },
+    Intl,
+    crypto,
+    AbortController,
+    setTimeout: (callback, delay) => setTimeout(callback, Math.min(Number(delay) || 0, 1)),
+    clearTimeout,
+    fetch: async () => {
+      fetchCalls++;
+      throw new Error('Failed to fetch');
+    },
+    importScripts: () => {},
+    chrome: {
+      runtime: {
+        onInstalled: { addListener: () => {} },
+        onStartup: { addListener: () => {} },
+        onMessage: { addListener: () => {} },
+        onMessageExternal: { addListener: () => {} },
+      },
+      alarms: {
+        create: () => {},
+        onAlarm: { addListener: () => {} },
+      },
+      commands: {
+        onCommand: { addListener: () => {} },
+      },
+      contextMenus: {
+        create: () => {},
+        removeAll: async () => {},
+        onClicked: { addListener: () => {} },
+      },
+      omnibox: {
+        onInputStarted: { addListener: () => {} },
+        onInputChanged: { addListener: () => {} },
+        setDefaultSuggestion: () => {},
+      },
+      storage: {
+        onChanged: { addListener: () => {} },
+        sync: {
+          get: async () => ({ settings: { targetCurrency: 'USD', rateProviders: ['ecb'] } }),
+          set: async () => {},
+        },
+        local: {
+          get: async () => ({}),
+          set: async () => {},
+        },
+      },
+      tabs: {
+        sendMessage: (...args) => {
+          sentMessage = args;
+        },
+      },
+    },
+  };
+
+  vm.createContext(context);
+  vm.runInContext(
+    [
+      fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/decimal.js', 'utf8'),
+      fs.readFileSync('src/shared/seed-rates.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/shared/settings.js', 'utf8'),
+      fs.readFileSync('src/content/currency-detector.js', 'utf8'),
+      fs.readFileSync('src/background/rates.js', 'utf8'),
+      fs.readFileSync('src/background/providers.js', 'utf8'),
+      fs.readFileSync('src/background/alerts.js', 'utf8'),
+      fs.readFileSync('src/background/omnibox.js', 'utf8'),
+      fs.readFileSync('src/background/history.js', 'utf8'),
+      fs.readFileSync('src/background/external-api.js', 'utf8'),
+      fs.readFileSync('src/background/service-worker.js', 'utf8'),
+    ].join('\n'),
+    context,
+  );
+
+  const snapshot = await context.resolveRates();
+  assert.strictEqual(snapshot.provider, 'seed');
+  assert.strictEqual(snapshot.rateDate, context.SEED_RATES.date);
+  assert.strictEqual(snapshot.rates.EUR, 1);
+  assert.ok(Object.keys(snapshot.rates).length >= 20);
+
+  // The bundled snapshot is reused for a while instead of hitting the network on every selection
+  const attempts = fetchCalls;
+  await context.resolveRates();
+  assert.strictEqual(fetchCalls, attempts);
+
+  await context.handleCurrencyDetected(
+    {
+      detection: {
+        amount: 10,
+        currencies: ['EUR'],
+        selectionText: '€10',
+        symbol: '€',
+      },
+    },
+    { tab: { id: 1 }, frameId: 0 },
+  );
+  assert.strictEqual(sentMessage[1].data.bundledRates, true);
+  assert.strictEqual(sentMessage[1].data.rateDate, context.SEED_RATES.date);
 }
 
 async function run() {
   let sentMessage = null;
+  let commandListener = null;
+  let contextMenuListener = null;
+  let omniboxListener = null;
+  let defaultSuggestion = null;
+  let externalListener = null;
+  let messageListener = null;
+  const contextMenuItems = [];
+  let conversionHistory = null;
+  let syncedSettings = {
+    disableAnimations: true,
+    feeMarkupPercent: 2,
+    secondaryTargetCurrencies: ['GBP', 'EUR', 'AED', 'USD'],
+    customCurrencies: [{ code: 'AED', name: 'UAE dirham', base: 'USD', rate: 3.6725 }],
+  };
   const now = new Date().toISOString();
+  const today = now.slice(0, 10);
   const context = {
     console,
     Intl,
+    URL,
+    crypto,
     AbortController,
     setTimeout,
     clearTimeout,
@@ -157,23 +327,72 @@ async function run() {
     chrome: {
       runtime: {
         onInstalled: { addListener: () => {} },
-        onMessage: { addListener: () => {} },
+        onStartup: { addListener: () => {} },
+        onMessage: {
+          addListener: (listener) => {
+            messageListener = listener;
+          },
+        },
+        onMessageExternal: {
+          addListener: (listener) => {
+            externalListener = listener;
+          },
+        },
+        getManifest: () => JSON.parse(fs.readFileSync('manifest.json', 'utf8')),
       },
       alarms: {
         create: () => {},
         onAlarm: { addListener: () => {} },
       },
+      commands: {
+        onCommand: {
+          addListener: (listener) => {
+            commandListener = listener;
+          },
+        },
+      },
+      contextMenus: {
+        create: (item) => contextMenuItems.push(item),
+        removeAll: async () => {
+          contextMenuItems.length = 0;
+        },
+        onClicked: {
+          addListener: (listener) => {
+            contextMenuListener = listener;
+          },
+        },
+      },
+      omnibox: {
+        onInputStarted: { addListener: () => {} },
+        onInputChanged: {
+          addListener: (listener) => {
+            omniboxListener = listener;
+          },
+        },
+        setDefaultSuggestion: (suggestion) => {
+          defaultSuggestion = suggestion;
+        },
+      },
       storage: {
+        onChanged: { addListener: () => {} },
         sync: {
-          get: async () => ({ settings: { disableAnimations: true } }),
+          get: async () => ({ settings: syncedSettings }),
           set: async () => {},
         },
         local: {
           get: async () => ({
             rates: { EUR: 1, USD: 1.2 },
+            ratesDate: today,
             ratesTimestamp: now,
+            ratesLog: {
+              '2026-04-01': { EUR: 1, USD: 1.1 },
+              '2026-04-02': { EUR: 1, USD: 1.2 },
+            },
+            conversionHistory,
           }),
-          set: async () => {},
+          set: async (items) => {
+            if (items.conversionHistory) conversionHistory = items.conversionHistory;
+          },
         },
       },
       tabs: {
@@ -188,7 +407,17 @@ async function run() {
   vm.runInContext(
     [
       fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/decimal.js', 'utf8'),
+      fs.readFileSync('src/shared/seed-rates.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/shared/settings.js', 'utf8'),
+      fs.readFileSync('src/content/currency-detector.js', 'utf8'),
       fs.readFileSync('src/background/rates.js', 'utf8'),
+      fs.readFileSync('src/background/providers.js', 'utf8'),
+      fs.readFileSync('src/background/alerts.js', 'utf8'),
+      fs.readFileSync('src/background/omnibox.js', 'utf8'),
+      fs.readFileSync('src/background/history.js', 'utf8'),
+      fs.readFileSync('src/background/external-api.js', 'utf8'),
       fs.readFileSync('src/background/service-worker.js', 'utf8'),
     ].join('\n'),
     context,
@@ -210,8 +439,236 @@ async function run() {
   assert.strictEqual(sentMessage[0], 42);
   assert.strictEqual(sentMessage[2].frameId, 7);
   assert.strictEqual(sentMessage[1].data.disableAnimations, true);
+  assert.strictEqual(sentMessage[1].data.rateDate, today);
+  assert.strictEqual(sentMessage[1].data.bundledRates, false);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(sentMessage[1].data.rateSeries)), [
+    { date: '2026-04-01', rate: 1.1 },
+    { date: '2026-04-02', rate: 1.2 },
+  ]);
+  assert.strictEqual(sentMessage[1].data.feeMarkupPercent, 2);
+  assert.strictEqual(Math.round(sentMessage[1].data.midMarketAmount * 100) / 100, 12);
+  assert.strictEqual(Math.round(sentMessage[1].data.convertedAmount * 100) / 100, 12.24);
+  // GBP has no rate and EUR is the source, so only AED is listed
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(sentMessage[1].data.secondaryConversions)), [
+    {
+      targetCurrency: 'AED',
+      convertedAmount: 44.95,
+      midMarketAmount: 44.07,
+      feeMarkupPercent: 2,
+    },
+  ]);
+
+  await context.handleCurrencyDetected(
+    {
+      detection: {
+        amount: 100,
+        currencies: ['AED'],
+        selectionText: 'AED 100',
+        symbol: 'AED',
+      },
+    },
+    { tab: { id: 42 }, frameId: 7 },
+  );
+  assert.strictEqual(sentMessage[1].data.originalCurrency, 'AED');
+  assert.strictEqual(Math.round(sentMessage[1].data.midMarketAmount * 100) / 100, 27.23);
+
+  // Tooltip conversions are recorded for the side panel; recalculating in the tooltip replaces its entry
+  const { historyId } = sentMessage[1].data;
+  const historyLength = conversionHistory.length;
+  const { timestamp: detectedAt, ...detected } = conversionHistory[0];
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(detected)), {
+    id: historyId,
+    url: null,
+    originalAmount: 100,
+    originalCurrency: 'AED',
+    convertedAmount: conversionHistory[0].convertedAmount,
+    targetCurrency: 'USD',
+    rateDate: today,
+  });
+  assert.ok(detectedAt);
+  await context.handleRecalculation(
+    context.createMessage('recalculate-conversion', {
+      data: { amount: 50, fromCurrency: 'USD', targetCurrency: 'EUR', outputFormat: 'smart', historyId },
+    }),
+    { tab: { id: 42, url: 'https://shop.example/cart?session=1' }, frameId: 7 },
+  );
+  assert.strictEqual(sentMessage[1].data.originalAmount, 50);
+  assert.strictEqual(sentMessage[1].data.historyId, historyId);
+  assert.strictEqual(conversionHistory.length, historyLength);
+  const { timestamp: recalculatedAt, ...recalculated } = conversionHistory[0];
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(recalculated)), {
+    id: historyId,
+    url: 'https://shop.example/cart',
+    originalAmount: 50,
+    originalCurrency: 'USD',
+    convertedAmount: sentMessage[1].data.convertedAmount,
+    targetCurrency: 'EUR',
+    rateDate: today,
+  });
+  assert.ok(recalculatedAt);
+
+  // A price already in the target currency goes to the first secondary target with rates
+  await context.handleCurrencyDetected(
+    {
+      detection: {
+        amount: 12,
+        currencies: ['USD'],
+        selectionText: '$12',
+        symbol: '$',
+      },
+    },
+    { tab: { id: 42 }, frameId: 7 },
+  );
+  assert.strictEqual(sentMessage[1].data.originalCurrency, 'USD');
+  assert.strictEqual(sentMessage[1].data.targetCurrency, 'EUR');
+  assert.strictEqual(sentMessage[1].data.midMarketAmount, 10);
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(sentMessage[1].data.secondaryConversions.map(entry => entry.targetCurrency))),
+    ['AED'],
+  );
+  // Without secondary targets it goes to EUR, keeping the swap and target picker reachable
+  syncedSettings = { ...syncedSettings, secondaryTargetCurrencies: [] };
+  sentMessage = null;
+  await context.handleCurrencyDetected(
+    {
+      detection: {
+        amount: 12,
+        currencies: ['USD'],
+        selectionText: '$12',
+        symbol: '$',
+      },
+    },
+    { tab: { id: 42 }, frameId: 7 },
+  );
+  assert.strictEqual(sentMessage[1].data.targetCurrency, 'EUR');
+  assert.strictEqual(sentMessage[1].data.midMarketAmount, 10);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(sentMessage[1].data.secondaryConversions)), []);
+  // A euro price goes to the preferred dollar when it has a rate, and to USD otherwise
+  const euroPrice = {
+    detection: {
+      amount: 12,
+      currencies: ['EUR'],
+      selectionText: '€12',
+      symbol: '€',
+    },
+  };
+  syncedSettings = {
+    ...syncedSettings,
+    targetCurrency: 'EUR',
+    defaultDollarCurrency: 'BSD',
+    customCurrencies: [
+      ...syncedSettings.customCurrencies,
+      { code: 'BSD', name: 'Bahamian dollar', base: 'USD', rate: 1 },
+    ],
+  };
+  await context.handleCurrencyDetected(euroPrice, { tab: { id: 42 }, frameId: 7 });
+  assert.strictEqual(sentMessage[1].data.targetCurrency, 'BSD');
+  syncedSettings = { ...syncedSettings, defaultDollarCurrency: 'CAD' };
+  await context.handleCurrencyDetected(euroPrice, { tab: { id: 42 }, frameId: 7 });
+  assert.strictEqual(sentMessage[1].data.targetCurrency, 'USD');
+  syncedSettings = {
+    ...syncedSettings,
+    targetCurrency: 'USD',
+    defaultDollarCurrency: 'USD',
+    secondaryTargetCurrencies: ['GBP', 'EUR', 'AED', 'USD'],
+    customCurrencies: syncedSettings.customCurrencies.slice(0, 1),
+  };
+
+  // Keyboard shortcuts are forwarded to every frame of the tab
+  sentMessage = null;
+  await commandListener('unknown-command', { id: 3 });
+  assert.strictEqual(sentMessage, null);
+  await commandListener('toggle-hybrid', { id: 3 });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(sentMessage)), [3, { type: 'toggle-hybrid', version: 1 }]);
+
+  // The context menu offers the favourite targets and converts into the chosen one
+  await context.updateContextMenus();
+  assert.deepStrictEqual(
+    contextMenuItems.map(item => [item.id, item.parentId || null]),
+    [
+      ['convert-selection', null],
+      ['convert-selection:USD', 'convert-selection'],
+      ['convert-selection:GBP', 'convert-selection'],
+      ['convert-selection:EUR', 'convert-selection'],
+      ['convert-selection:AED', 'convert-selection'],
+    ],
+  );
+  sentMessage = null;
+  await contextMenuListener({ menuItemId: 'convert-selection:AED', selectionText: 'no price here', frameId: 2 }, { id: 4 });
+  assert.strictEqual(sentMessage, null);
+  await contextMenuListener({ menuItemId: 'convert-selection:AED', selectionText: ' €10 ', frameId: 2 }, { id: 4 });
+  assert.strictEqual(sentMessage[0], 4);
+  assert.strictEqual(sentMessage[2].frameId, 2);
+  assert.strictEqual(sentMessage[1].data.originalCurrency, 'EUR');
+  assert.strictEqual(sentMessage[1].data.targetCurrency, 'AED');
+  assert.strictEqual(Math.round(sentMessage[1].data.midMarketAmount * 100) / 100, 44.07);
+
+  // Omnibox queries convert from the cached rates, into the favourite targets by default
+  let suggestions = null;
+  await omniboxListener('10 eur', (list) => {
+    suggestions = list;
+  });
+  assert.strictEqual(defaultSuggestion.description.includes('<match>12.24 USD</match>'), true);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(suggestions.map(entry => entry.content))), ['10 EUR to AED']);
+  await omniboxListener('ten euros', (list) => {
+    suggestions = list;
+  });
+  assert.ok(defaultSuggestion.description.startsWith('Convert an amount'));
+  assert.strictEqual(suggestions.length, 0);
+
+  // Malformed and unknown messages get an explicit error and no open channel
+  const sendInternal = message => new Promise((resolve) => {
+    const keepsChannelOpen = messageListener(message, { tab: { id: 5 }, frameId: 0 }, resolve);
+    if (!keepsChannelOpen) setTimeout(() => resolve(undefined), 10);
+  });
+  let internalResponse = await sendInternal({ type: 'unknown-type', version: 1 });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(internalResponse)), {
+    status: 'error',
+    version: 1,
+    message: 'Unknown message type for background: unknown-type',
+  });
+  internalResponse = await sendInternal({ type: 'get-rates' });
+  assert.strictEqual(internalResponse.message, 'Unsupported get-rates message version undefined; expected 1');
+  sentMessage = null;
+  internalResponse = await sendInternal({ type: 'currency-detected', version: 1, detection: { amount: '10' } });
+  assert.strictEqual(internalResponse.status, 'error');
+  assert.strictEqual(sentMessage, null);
+  internalResponse = await sendInternal(context.createMessage('get-rates'));
+  assert.strictEqual(internalResponse.rates.USD, 1.2);
+
+  // Other extensions and local pages get versioned responses from the ECB rates
+  const sendExternal = (message, sender) => new Promise((resolve) => {
+    assert.strictEqual(externalListener(message, sender, resolve), true);
+  });
+  const localPage = { origin: 'http://localhost:8080', url: 'http://localhost:8080/tool.html' };
+  let response = await sendExternal({ type: 'get-rates' }, { id: 'unknownextension' });
+  assert.strictEqual(response.status, 'error');
+  assert.strictEqual(response.apiVersion, 1);
+  response = await sendExternal({ type: 'get-rates' }, localPage);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(response)), {
+    apiVersion: 1,
+    type: 'get-rates',
+    status: 'success',
+    base: 'EUR',
+    rates: { EUR: 1, USD: 1.2 },
+    rateDate: today,
+  });
+  // No card fee: the API always answers with mid-market values
+  response = await sendExternal({ type: 'convert', amount: 10, from: 'EUR', to: 'USD' }, localPage);
+  assert.strictEqual(response.status, 'success');
+  assert.strictEqual(response.convertedAmount, 12);
+  response = await sendExternal({ type: 'convert', amount: 10, from: 'EUR', to: 'AED' }, localPage);
+  assert.strictEqual(response.status, 'error');
+  assert.strictEqual(response.message, 'Missing rate for AED');
+  response = await sendExternal({ type: 'detect', text: 'Was €10 and now AED 5' }, localPage);
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(response.detections.map(entry => [entry.amount, entry.currency]))),
+    [[10, 'EUR'], [5, 'AED']],
+  );
 
   let localGetCalls = 0;
+  let syncSettings = { targetCurrency: 'EUR', autoReplaceEnabled: true };
+  let syncSetCalls = 0;
   const coalescingContext = {
     console,
     Intl,
@@ -223,16 +680,35 @@ async function run() {
     chrome: {
       runtime: {
         onInstalled: { addListener: () => {} },
+        onStartup: { addListener: () => {} },
         onMessage: { addListener: () => {} },
+        onMessageExternal: { addListener: () => {} },
       },
       alarms: {
         create: () => {},
         onAlarm: { addListener: () => {} },
       },
+      commands: {
+        onCommand: { addListener: () => {} },
+      },
+      contextMenus: {
+        create: () => {},
+        removeAll: async () => {},
+        onClicked: { addListener: () => {} },
+      },
+      omnibox: {
+        onInputStarted: { addListener: () => {} },
+        onInputChanged: { addListener: () => {} },
+        setDefaultSuggestion: () => {},
+      },
       storage: {
+        onChanged: { addListener: () => {} },
         sync: {
-          get: async () => ({ settings: {} }),
-          set: async () => {},
+          get: async () => ({ settings: syncSettings }),
+          set: async (items) => {
+            syncSetCalls++;
+            syncSettings = items.settings;
+          },
         },
         local: {
           get: async () => {
@@ -240,6 +716,7 @@ async function run() {
             await new Promise(resolve => setTimeout(resolve, 10));
             return {
               rates: { EUR: 1, USD: 1.2 },
+              ratesDate: today,
               ratesTimestamp: now,
             };
           },
@@ -255,7 +732,17 @@ async function run() {
   vm.runInContext(
     [
       fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/decimal.js', 'utf8'),
+      fs.readFileSync('src/shared/seed-rates.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/shared/settings.js', 'utf8'),
+      fs.readFileSync('src/content/currency-detector.js', 'utf8'),
       fs.readFileSync('src/background/rates.js', 'utf8'),
+      fs.readFileSync('src/background/providers.js', 'utf8'),
+      fs.readFileSync('src/background/alerts.js', 'utf8'),
+      fs.readFileSync('src/background/omnibox.js', 'utf8'),
+      fs.readFileSync('src/background/history.js', 'utf8'),
+      fs.readFileSync('src/background/external-api.js', 'utf8'),
       fs.readFileSync('src/background/service-worker.js', 'utf8'),
     ].join('\n'),
     coalescingContext,
@@ -271,7 +758,19 @@ async function run() {
   );
   assert.strictEqual(localGetCalls, 1);
 
+  // Stored settings are upgraded once; current settings are not rewritten
+  await coalescingContext.migrateStoredSettings();
+  assert.strictEqual(syncSetCalls, 1);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(syncSettings)), {
+    ...JSON.parse(JSON.stringify(coalescingContext.DEFAULT_SETTINGS)),
+    targetCurrency: 'EUR',
+    conversionMode: 'auto',
+  });
+  await coalescingContext.migrateStoredSettings();
+  assert.strictEqual(syncSetCalls, 1);
+
   await testContentCaching();
+  await testSeedRatesWhenOffline();
 
   console.log('service-worker: all tests passed');
 }
@@ -0,0 +1,255 @@
+/* eslint-disable no-console */
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const context = { console, Intl };
+vm.createContext(context);
+vm.runInContext(
+  [
+    fs.readFileSync('src/shared/constants.js', 'utf8'),
+    fs.readFileSync('src/shared/messages.js', 'utf8'),
+    fs.readFileSync('src/shared/settings.js', 'utf8'),
+  ].join('\n'),
+  context,
+);
+
+const defaults = plain(context.DEFAULT_SETTINGS);
+const migrationStep = version => context.SETTINGS_MIGRATIONS.find(step => step.version === version).migrate;
+
+// Every setting has a schema entry, and the steps lead up to the current version
+assert.deepStrictEqual(Object.keys(context.SETTINGS_SCHEMA), Object.keys(context.DEFAULT_SETTINGS));
+assert.deepStrictEqual(
+  plain(context.SETTINGS_MIGRATIONS.map(step => step.version)),
+  Array.from({ length: context.SETTINGS_VERSION }, (_, index) => index + 1),
+);
+assert.strictEqual(defaults.settingsVersion, context.SETTINGS_VERSION);
+
+// Migration 1: the pre-Hybrid autoReplaceEnabled toggle becomes conversionMode
+assert.deepStrictEqual(plain(migrationStep(1)({ autoReplaceEnabled: false, theme: 'dark' })), {
+  theme: 'dark',
+  conversionMode: 'interactive',
+});
+assert.deepStrictEqual(plain(migrationStep(1)({ autoReplaceEnabled: true })), { conversionMode: 'auto' });
+// An explicit mode wins over the old toggle
+assert.deepStrictEqual(
+  plain(migrationStep(1)({ autoReplaceEnabled: true, conversionMode: 'interactive' })),
+  { conversionMode: 'interactive' },
+);
+assert.deepStrictEqual(plain(migrationStep(1)({ targetCurrency: 'EUR' })), { targetCurrency: 'EUR' });
+
+// First install: the defaults
+assert.deepStrictEqual(plain(context.migrateSettings(undefined)), { settings: defaults, problems: [] });
+
+// Settings saved by 1.3.x run every step and are completed from the defaults
+const legacy = {
+  targetCurrency: 'EUR',
+  defaultDollarCurrency: 'CAD',
+  numberFormat: 'eu',
+  extensionEnabled: true,
+  autoReplaceEnabled: false,
+  theme: 'purple',
+  disabledDomains: ['Shop.Example ', 'shop.example', ''],
+  legacyFlag: true,
+};
+let result = plain(context.migrateSettings(legacy));
+assert.deepStrictEqual(result.settings, {
+  ...defaults,
+  targetCurrency: 'EUR',
+  defaultDollarCurrency: 'CAD',
+  numberFormat: 'eu',
+  conversionMode: 'interactive',
+  disabledDomains: ['shop.example'],
+});
+assert.deepStrictEqual(result.problems, [
+  '"legacyFlag" is not a known setting',
+  '"theme" must be one of system, light, dark',
+  '"disabledDomains" has values that are not allowed',
+]);
+// The input is left alone, and migrated settings migrate to themselves
+assert.strictEqual(legacy.autoReplaceEnabled, false);
+assert.deepStrictEqual(plain(context.migrateSettings(result.settings)), { settings: result.settings, problems: [] });
+
+// Current settings only go through validation: wrong types fall back to the defaults
+result = plain(context.migrateSettings({
+  ...defaults,
+  extensionEnabled: 'yes',
+  autoReplaceLimit: -5,
+  targetCurrency: 'XYZ',
+  secondaryTargetCurrencies: ['XYZ', 'GBP'],
+  feeMarkupByCurrency: { GBP: 50, EUR: 1 },
+  rateProviders: ['ecb', 'yahoo'],
+  customCurrencies: 'AED',
+  autoReplaceEnabled: true,
+}));
+assert.deepStrictEqual(result.settings, {
+  ...defaults,
+  secondaryTargetCurrencies: ['GBP'],
+  feeMarkupByCurrency: { EUR: 1 },
+});
+assert.deepStrictEqual(result.problems, [
+  '"autoReplaceEnabled" is not a known setting',
+  '"extensionEnabled" must be true or false',
+  '"rateProviders"[1] must be one of ecb, frankfurter',
+  '"customCurrencies" must be an array',
+  '"targetCurrency" has values that are not allowed',
+  '"secondaryTargetCurrencies" has values that are not allowed',
+  '"autoReplaceLimit" has values that are not allowed',
+  '"feeMarkupByCurrency" has values that are not allowed',
+]);
+
+// Custom currencies can be targets
+result = plain(context.migrateSettings({
+  ...defaults,
+  targetCurrency: 'AED',
+  customCurrencies: [{ code: 'AED', name: 'UAE dirham', symbol: '', base: 'USD', rate: 3.6725 }],
+}));
+assert.strictEqual(result.settings.targetCurrency, 'AED');
+assert.deepStrictEqual(result.problems, []);
+
+// Settings from a newer version of the extension are not touched
+const newer = { ...defaults, settingsVersion: context.SETTINGS_VERSION + 1, futureSetting: 1 };
+assert.deepStrictEqual(plain(context.migrateSettings(newer)), { settings: newer, problems: [] });
+
+// Readers get migrated, validated settings; newer ones are completed from the defaults
+assert.deepStrictEqual(plain(context.resolveStoredSettings(undefined)), defaults);
+assert.deepStrictEqual(
+  plain(context.resolveStoredSettings({ autoReplaceEnabled: true, theme: 'purple' })),
+  { ...defaults, conversionMode: 'auto' },
+);
+const { theme, ...newerWithoutTheme } = newer;
+assert.deepStrictEqual(plain(context.resolveStoredSettings(newerWithoutTheme)), { ...newer, theme });
+
+result = plain(context.sanitizeSettings(['not', 'settings']));
+assert.deepStrictEqual(result, { settings: defaults, problems: ['Settings must be an object'] });
+
+// Exports hold every current setting and import back without changes
+const current = { ...defaults, targetCurrency: 'EUR', disabledDomains: ['shop.example'] };
+const exported = context.createSettingsExport(current);
+assert.deepStrictEqual(JSON.parse(exported), current);
+assert.deepStrictEqual(JSON.parse(context.createSettingsExport(undefined)), defaults);
+assert.deepStrictEqual(plain(context.prepareSettingsImport(exported, current)), {
+  settings: current,
+  changes: [],
+  problems: [],
+});
+
+// A partial file changes only its own keys and lists what changes; codes may be in any case
+result = plain(context.prepareSettingsImport(JSON.stringify({
+  targetCurrency: 'gbp',
+  defaultDollarCurrency: 'CAD',
+  disabledDomains: ['intranet.example'],
+  outputFormat: 'eu',
+}), current));
+assert.deepStrictEqual(result.settings, {
+  ...current,
+  targetCurrency: 'GBP',
+  defaultDollarCurrency: 'CAD',
+  disabledDomains: ['intranet.example'],
+  outputFormat: 'eu',
+});
+assert.deepStrictEqual(result.changes, [
+  { key: 'targetCurrency', from: 'EUR', to: 'GBP' },
+  { key: 'defaultDollarCurrency', from: 'USD', to: 'CAD' },
+  { key: 'outputFormat', from: 'smart', to: 'eu' },
+  { key: 'disabledDomains', from: ['shop.example'], to: ['intranet.example'] },
+]);
+assert.deepStrictEqual(result.problems, []);
+// Older exports are migrated first
+result = plain(context.prepareSettingsImport('{"autoReplaceEnabled":false}', current));
+assert.deepStrictEqual(result.changes, [{ key: 'conversionMode', from: 'auto', to: 'interactive' }]);
+assert.strictEqual(result.settings.settingsVersion, context.SETTINGS_VERSION);
+
+// Hand-written values are read as leniently as popup input and tidied like it
+result = plain(context.prepareSettingsImport(JSON.stringify({
+  settingsVersion: context.SETTINGS_VERSION,
+  customCurrencies: [{ code: 'aed', base: 'USD', rate: '3.6725' }],
+  feeMarkupPercent: '1.5',
+  feeMarkupByCurrency: { GBP: '2' },
+  secondaryTargetCurrencies: ['aed', 'usd'],
+  disabledDomains: ['Intranet.Example', 'intranet.example'],
+}), current));
+assert.deepStrictEqual(result.problems, []);
+assert.deepStrictEqual(result.settings.customCurrencies, [
+  { code: 'AED', name: 'AED', symbol: '', base: 'USD', rate: 3.6725 },
+]);
+assert.strictEqual(result.settings.feeMarkupPercent, 1.5);
+assert.deepStrictEqual(result.settings.feeMarkupByCurrency, { GBP: 2 });
+assert.deepStrictEqual(result.settings.secondaryTargetCurrencies, ['AED', 'USD']);
+assert.deepStrictEqual(result.settings.disabledDomains, ['intranet.example']);
+
+// Unknown or legacy keys in storage are repaired, not blamed on the file
+result = plain(context.prepareSettingsImport(
+  '{"outputFormat":"us"}',
+  { ...current, settingsVersion: 1, autoReplaceEnabled: true, darkMode: true, theme: 'purple' },
+));
+assert.deepStrictEqual(result.problems, []);
+assert.deepStrictEqual(result.changes, [{ key: 'outputFormat', from: 'smart', to: 'us' }]);
+assert.strictEqual(result.settings.theme, 'system');
+assert.ok(!('darkMode' in result.settings));
+assert.deepStrictEqual(
+  plain(context.prepareSettingsImport('{"outputFormat":"us"}', undefined)).changes,
+  [{ key: 'outputFormat', from: 'smart', to: 'us' }],
+);
+
+// Unknown or invalid values reject the whole file
+const rejected = (text, problems, stored = current) => assert.deepStrictEqual(
+  plain(context.prepareSettingsImport(text, stored)),
+  { settings: null, changes: [], problems },
+);
+rejected('{"targetCurrency": "EUR",}', ['The file is not valid JSON']);
+rejected('["EUR"]', ['The file does not contain settings']);
+rejected('null', ['The file does not contain settings']);
+rejected(
+  JSON.stringify({ targetCurrency: 'EUR', settingsVersion: context.SETTINGS_VERSION + 1 }),
+  ['The file was exported by a newer version of the extension'],
+);
+rejected(
+  '{"targetCurrency":"EUR"}',
+  ['Your settings were saved by a newer version of the extension'],
+  newer,
+);
+// Each problem names the setting, the entry, and the reason
+rejected(
+  JSON.stringify({ targetCurrency: 'XYZ', theme: 'purple', darkMode: true, feeMarkupPercent: 'abc' }),
+  [
+    '"theme" must be one of system, light, dark',
+    '"darkMode" is not a known setting',
+    '"feeMarkupPercent" must be a finite number',
+    '"targetCurrency" must be an ECB or custom currency',
+  ],
+);
+rejected(
+  JSON.stringify({
+    customCurrencies: [{ code: 'AED', base: 'USD', rate: 3.6725 }, { code: 'GBP', base: 'EUR', rate: 1 }],
+    feeMarkupByCurrency: { EUR: 1, USD: 50 },
+    autoReplaceLimit: 0,
+  }),
+  [
+    '"autoReplaceLimit" must be a whole number of at least 1',
+    '"customCurrencies"[1] must have a three-letter code that is not an ECB currency, used once, ' +
+      'and a positive rate against an ECB currency, with at most 20 in all',
+    '"feeMarkupByCurrency"."USD" must be an ECB or custom currency with a markup between 0 and 20',
+  ],
+);
+// Values valid on their own can still clash with the current settings
+rejected(
+  JSON.stringify({ secondaryTargetCurrencies: ['GBP', 'EUR'] }),
+  ['"secondaryTargetCurrencies"[1] must be an ECB or custom currency other than the target currency, ' +
+    'listed once, with at most 4 in all'],
+);
+
+context.chrome = {
+  storage: { sync: { get: async key => ({ [key]: { targetCurrency: 'GBP', extensionEnabled: 'yes' } }) } },
+};
+context.loadSettings().then((settings) => {
+  assert.deepStrictEqual(plain(settings), { ...defaults, targetCurrency: 'GBP' });
+  console.log('settings: all tests passed');
+}).catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
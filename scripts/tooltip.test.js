@@ -20,6 +20,8 @@ async function run() {
   vm.runInContext(
     [
       fs.readFileSync('src/shared/constants.js', 'utf8'),
+      fs.readFileSync('src/shared/messages.js', 'utf8'),
+      fs.readFileSync('src/content/currency-detector.js', 'utf8'),
       fs.readFileSync('src/content/tooltip.js', 'utf8'),
     ].join('\n'),
     context,
@@ -35,6 +37,145 @@ async function run() {
 
   assert.strictEqual(copied, true);
   assert.strictEqual(copiedText, '1,234.50 USD');
+
+  const multiTarget = {
+    convertedAmount: 108,
+    targetCurrency: 'USD',
+    outputFormat: 'us',
+    secondaryConversions: [
+      { targetCurrency: 'GBP', convertedAmount: 85.4 },
+      { targetCurrency: 'JPY', convertedAmount: 16237 },
+    ],
+  };
+  assert.strictEqual(await context.CurrencyTooltip.copyValue(multiTarget, 'GBP'), true);
+  assert.strictEqual(copiedText, '85.40 GBP');
+  assert.strictEqual(await context.CurrencyTooltip.copyValue(multiTarget, 'JPY'), true);
+  assert.strictEqual(copiedText, '16,237 JPY');
+  assert.strictEqual(await context.CurrencyTooltip.copyValue(multiTarget), true);
+  assert.strictEqual(copiedText, '108.00 USD');
+  assert.strictEqual(await context.CurrencyTooltip.copyValue(multiTarget, 'CHF'), false);
+
+  const receipt = {
+    originalAmount: 100,
+    originalCurrency: 'EUR',
+    convertedAmount: 1234.5,
+    targetCurrency: 'USD',
+    outputFormat: 'us',
+    rateDate: '2026-04-02',
+    copyFormat: 'raw',
+    secondaryConversions: [{ targetCurrency: 'JPY', convertedAmount: 16237 }],
+  };
+  const copyText = (...args) => context.CurrencyTooltip.formatCopyText(...args);
+  assert.strictEqual(copyText(receipt), '1234.50');
+  assert.strictEqual(copyText(receipt, 'JPY'), '16237');
+  assert.strictEqual(copyText(receipt, undefined, 'iso'), '1,234.50 USD');
+  assert.strictEqual(copyText(receipt, undefined, 'symbol'), '$1,234.50');
+  assert.strictEqual(copyText(receipt, 'JPY', 'symbol'), '¥16,237');
+  assert.strictEqual(copyText({ ...receipt, convertedAmount: -12 }, undefined, 'symbol'), '-$12.00');
+  assert.strictEqual(
+    copyText({ ...receipt, convertedAmount: -12, negativeStyle: 'parentheses' }, undefined, 'symbol'),
+    '($12.00)',
+  );
+  assert.strictEqual(copyText(receipt, undefined, 'sentence'), '100.00 EUR → 1,234.50 USD');
+  assert.strictEqual(
+    copyText(receipt, undefined, 'markdown'),
+    '| Original | Converted | Rate date |\n| --- | --- | --- |\n| 100.00 EUR | 1,234.50 USD | 2026-04-02 |',
+  );
+  assert.strictEqual(copyText(receipt, 'JPY', 'csv'), '100,EUR,16237,JPY,2026-04-02');
+  assert.strictEqual(copyText({ ...receipt, copyFormat: undefined }), '1,234.50 USD');
+  assert.strictEqual(copyText(receipt, 'CHF'), null);
+  assert.strictEqual(await context.CurrencyTooltip.copyValue(receipt, undefined, 'csv'), true);
+  assert.strictEqual(copiedText, '100,EUR,1234.50,USD,2026-04-02');
+
+  assert.strictEqual(context.CurrencyTooltip.formatRateDateNote({ asOf: null, rateDate: null }), '');
+  assert.strictEqual(
+    context.CurrencyTooltip.formatRateDateNote({ asOf: '2026-04-02', rateDate: '2026-04-02' }),
+    '',
+  );
+  assert.strictEqual(
+    context.CurrencyTooltip.formatRateDateNote({ asOf: '2026-04-05', rateDate: '2026-04-02' }),
+    'Using 2026-04-02',
+  );
+  assert.strictEqual(
+    context.CurrencyTooltip.formatRateDateNote({ asOf: null, rateDate: '2025-08-01', bundledRates: true }),
+    'Bundled offline rates',
+  );
+
+  assert.strictEqual(context.CurrencyTooltip.formatFeeNote({ convertedAmount: 102, feeMarkupPercent: 0 }), '');
+  assert.strictEqual(
+    context.CurrencyTooltip.formatFeeNote({
+      convertedAmount: 1107,
+      midMarketAmount: 1080,
+      feeMarkupPercent: 2.5,
+      targetCurrency: 'USD',
+      outputFormat: 'us',
+    }),
+    'Mid-market 1,080.00 USD · +2.5% fee',
+  );
+
+  const targetData = { originalCurrency: 'EUR', targetCurrency: 'USD' };
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(context.CurrencyTooltip.getTargetOptions('dollar', targetData))),
+    ['AUD', 'CAD', 'HKD', 'NZD', 'SGD', 'USD'],
+  );
+  assert.ok(!context.CurrencyTooltip.getTargetOptions('', targetData).includes('EUR'));
+  assert.strictEqual(context.CurrencyTooltip.getTargetOptions('dirham', targetData).length, 0);
+  context.CurrencyTooltip.setCustomCurrencies([
+    { code: 'AED', name: 'UAE dirham', symbol: 'Dh', base: 'USD', rate: 3.6725 },
+  ]);
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(context.CurrencyTooltip.getTargetOptions('dirham', targetData))),
+    ['AED'],
+  );
+  assert.strictEqual(
+    context.CurrencyTooltip.formatCopyText({ convertedAmount: -5, targetCurrency: 'AED', outputFormat: 'us' }, 'AED', 'symbol'),
+    '-Dh5.00',
+  );
+
+  const evaluate = context.CurrencyTooltip.evaluateAmountExpression;
+  assert.strictEqual(evaluate('49.99*3'), 149.97);
+  assert.strictEqual(evaluate(' 49.99 x 3 '), 149.97);
+  assert.strictEqual(evaluate('(12.50 + 4) / 2'), 8.25);
+  assert.strictEqual(evaluate('2 + 3 × 4'), 14);
+  assert.strictEqual(evaluate('100 ÷ 8'), 12.5);
+  assert.strictEqual(evaluate('-(5 - 7)'), 2);
+  assert.strictEqual(evaluate('0.1 + 0.2'), 0.3);
+  assert.strictEqual(evaluate('1,299.50*2'), 2599);
+  assert.strictEqual(evaluate('1.299,50'), 1299.5);
+  assert.strictEqual(evaluate('12,5 * 2'), 25);
+  assert.strictEqual(evaluate('.5'), 0.5);
+  assert.strictEqual(evaluate('1/0'), null);
+  assert.strictEqual(evaluate('2 *'), null);
+  assert.strictEqual(evaluate('(2 + 3'), null);
+  assert.strictEqual(evaluate('2)'), null);
+  assert.strictEqual(evaluate('alert(1)'), null);
+  assert.strictEqual(evaluate('1e3'), null);
+  assert.strictEqual(evaluate(''), null);
+  assert.strictEqual(evaluate('1+'.repeat(60) + '1'), null);
+
+  const series = [
+    { date: '2026-04-01', rate: 1.08 },
+    { date: '2026-04-02', rate: 1.1 },
+    { date: '2026-04-03', rate: 1.09 },
+  ];
+  assert.strictEqual(context.CurrencyTooltip.buildSparklinePoints(series, 100, 20), '0,20 50,0 100,10');
+  assert.strictEqual(
+    context.CurrencyTooltip.buildSparklinePoints([{ rate: 2 }, { rate: 2 }], 100, 20),
+    '0,10 100,10',
+  );
+  assert.strictEqual(context.CurrencyTooltip.buildSparklinePoints(series.slice(0, 1), 100, 20), '');
+  assert.strictEqual(context.CurrencyTooltip.buildSparklinePoints(undefined, 100, 20), '');
+  assert.strictEqual(context.CurrencyTooltip.formatRateChange(series), '+0.93%');
+  assert.strictEqual(context.CurrencyTooltip.formatRateChange(series.slice(1).reverse()), '+0.92%');
+  assert.strictEqual(context.CurrencyTooltip.formatRateChange([{ rate: 1.1 }, { rate: 1.078 }]), '-2.00%');
+  assert.strictEqual(context.CurrencyTooltip.formatRateChange([{ rate: 1 }, { rate: 1.00001 }]), '0.00%');
+  assert.strictEqual(context.CurrencyTooltip.formatRateChange([]), '');
+
+  const clamp = (...args) => ({ ...context.CurrencyTooltip.clampCardPosition(...args) });
+  assert.deepStrictEqual(clamp(100, 50, 200, 80, 1024, 768), { left: 100, top: 50 });
+  assert.deepStrictEqual(clamp(-40, -10, 200, 80, 1024, 768), { left: 8, top: 8 });
+  assert.deepStrictEqual(clamp(900, 720, 200, 80, 1024, 768), { left: 816, top: 680 });
+  assert.deepStrictEqual(clamp(50, 50, 400, 80, 300, 768), { left: 8, top: 50 });
   console.log('tooltip: all tests passed');
 }
 
@@ -0,0 +1,49 @@
+import os
+import urllib.request
+import xml.etree.ElementTree as ET
+
+ECB_API_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml'
+ECB_NAMESPACE = '{http://www.ecb.int/vocabulary/2002-08-01/eurofxref}'
+
+TEMPLATE = """/**
+ * Bundled ECB reference rates used until the first successful rate fetch,
+ * e.g. when the extension is installed without network access.
+ * Regenerate before each release with: python scripts/update_seed_rates.py
+ */
+
+/* eslint-disable no-var */
+
+var SEED_RATES = {{
+  date: '{date}',
+  rates: {{
+{rates}
+  }},
+}};
+"""
+
+def update_seed_rates():
+    # Download the latest daily reference rates
+    with urllib.request.urlopen(ECB_API_URL, timeout=15) as response:
+        root = ET.fromstring(response.read())
+
+    # <Cube time="YYYY-MM-DD"> holds one <Cube currency="USD" rate="1.1"/> per currency
+    dated_cube = root.find(f'.//{ECB_NAMESPACE}Cube[@time]')
+    if dated_cube is None:
+        raise SystemExit('ECB feed has no dated rate cube')
+
+    rates = [
+        f"    {cube.get('currency')}: {cube.get('rate')},"
+        for cube in dated_cube.findall(f'{ECB_NAMESPACE}Cube[@currency]')
+    ]
+    if len(rates) < 20:
+        raise SystemExit(f'ECB feed has only {len(rates)} rates')
+
+    root_dir = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    output_path = os.path.join(root_dir, 'src', 'shared', 'seed-rates.js')
+    with open(output_path, 'w', encoding='utf-8', newline='\n') as output:
+        output.write(TEMPLATE.format(date=dated_cube.get('time'), rates='\n'.join(rates)))
+
+    print(f"Wrote {len(rates)} rates of {dated_cube.get('time')} to src/shared/seed-rates.js")
+
+if __name__ == '__main__':
+    update_seed_rates()
@@ -0,0 +1,131 @@
+/**
+ * Rate change alerts.
+ * After each successful rate fetch the service worker compares the new rates
+ * with the ones cached before it, raises a desktop notification for every
+ * rule that fired, and keeps a short log of triggered alerts.
+ * Uses globals from constants.js and rates.js (loaded via importScripts).
+ */
+
+const ALERT_NOTIFICATION_PREFIX = 'rate-alert:';
+
+/**
+ * Rate of one `from` unit in `to`, from an EUR-based rate map.
+ * @returns {number|null} null when either currency is missing
+ */
+function getPairRate(rates, from, to) {
+  const fromRate = rates?.[from];
+  const toRate = rates?.[to];
+  if (!(fromRate > 0) || !(toRate > 0)) return null;
+  return toRate / fromRate;
+}
+
+/**
+ * Find the rules that fire between two rate sets.
+ * Thresholds fire when the rate crosses them (or is already past them when
+ * there is no previous rate), so an unchanged rate does not alert again on
+ * every refresh. Percentage moves need a previous rate to compare with.
+ *
+ * @param {Object[]} rules - Normalized rules from normalizeRateAlerts()
+ * @param {Object|null} previousRates - EUR-based rates before the fetch
+ * @param {Object} rates - EUR-based rates after the fetch
+ * @returns {{ rule: Object, rate: number, previousRate: number|null, changePercent: number|null }[]}
+ */
+function evaluateRateAlerts(rules, previousRates, rates) {
+  const triggered = [];
+
+  rules.forEach((rule) => {
+    const rate = getPairRate(rates, rule.from, rule.to);
+    if (rate === null) return;
+
+    const previousRate = getPairRate(previousRates, rule.from, rule.to);
+    const changePercent = previousRate === null ? null : (rate / previousRate - 1) * 100;
+
+    let fired = false;
+    if (rule.type === 'above') {
+      fired = rate >= rule.value && (previousRate === null || previousRate < rule.value);
+    } else if (rule.type === 'below') {
+      fired = rate <= rule.value && (previousRate === null || previousRate > rule.value);
+    } else if (rule.type === 'change') {
+      fired = changePercent !== null && Math.abs(changePercent) >= rule.value;
+    }
+
+    if (fired) {
+      triggered.push({ rule, rate, previousRate, changePercent });
+    }
+  });
+
+  return triggered;
+}
+
+function formatAlertRate(rate) {
+  return Number(rate.toPrecision(6)).toString();
+}
+
+/**
+ * Notification text for a triggered alert.
+ * @returns {{ title: string, message: string }}
+ */
+function formatRateAlert({ rule, rate, previousRate, changePercent }, rateDate) {
+  const pair = `${rule.from}/${rule.to}`;
+  const title = rule.type === 'change'
+    ? `${pair} moved ${changePercent > 0 ? '+' : ''}${changePercent.toFixed(2)}%`
+    : `${pair} is ${rule.type} ${formatAlertRate(rule.value)}`;
+
+  const previous = previousRate === null ? '' : ` (was ${formatAlertRate(previousRate)})`;
+  const date = rateDate ? `, rates of ${rateDate}` : '';
+  return {
+    title,
+    message: `1 ${rule.from} = ${formatAlertRate(rate)} ${rule.to}${previous}${date}`,
+  };
+}
+
+/**
+ * Evaluate the configured alerts for a fresh snapshot, notify, and log.
+ *
+ * @param {RateSnapshot} previous - Cached snapshot from before the fetch
+ * @param {RateSnapshot} snapshot - Snapshot the fetch returned
+ * @returns {Promise<Object[]>} Log entries of the alerts that fired
+ */
+async function checkRateAlerts(previous, snapshot) {
+  const config = await loadSettings();
+  const rules = normalizeRateAlerts(config.rateAlerts, config.customCurrencies);
+  if (!rules.length || !snapshot?.rates) return [];
+
+  const triggered = evaluateRateAlerts(
+    rules,
+    applyCustomRates(previous?.rates, config.customCurrencies),
+    applyCustomRates(snapshot.rates, config.customCurrencies),
+  );
+  if (!triggered.length) return [];
+
+  const timestamp = new Date().toISOString();
+  const entries = triggered.map(({ rule, rate, previousRate }) => ({
+    ruleId: rule.id,
+    from: rule.from,
+    to: rule.to,
+    type: rule.type,
+    value: rule.value,
+    rate,
+    previousRate,
+    rateDate: snapshot.rateDate || null,
+    timestamp,
+  }));
+
+  const logResult = await chrome.storage.local.get(STORAGE_KEYS.ALERT_LOG);
+  const log = Array.isArray(logResult[STORAGE_KEYS.ALERT_LOG]) ? logResult[STORAGE_KEYS.ALERT_LOG] : [];
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.ALERT_LOG]: [...entries, ...log].slice(0, LIMITS.MAX_ALERT_LOG_ENTRIES),
+  });
+
+  await Promise.all(triggered.map((trigger) => {
+    const { title, message } = formatRateAlert(trigger, snapshot.rateDate);
+    return chrome.notifications.create(`${ALERT_NOTIFICATION_PREFIX}${trigger.rule.id}:${timestamp}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title,
+      message,
+    });
+  }));
+
+  return entries;
+}
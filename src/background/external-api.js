@@ -0,0 +1,170 @@
+/**
+ * Messaging API for companion extensions and pages served from localhost,
+ * reached with chrome.runtime.sendMessage(EXTENSION_ID, request). Requests and
+ * responses are checked against EXTERNAL_API_SCHEMAS; see "Messaging API" in
+ * the README for the request types.
+ * Uses globals from constants.js, messages.js and currency-detector.js (loaded via importScripts).
+ */
+
+// Bump when a request or response shape changes incompatibly
+const EXTERNAL_API_VERSION = 1;
+
+// Pages on these hosts may call the API as well (see externally_connectable in manifest.json)
+const EXTERNAL_API_LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+const EXTERNAL_API_MAX_TEXT_LENGTH = 10000;
+const EXTERNAL_API_MAX_DETECTIONS = 100;
+
+// Field specs per request type, in the format of MESSAGE_SCHEMAS
+const EXTERNAL_API_SCHEMAS = {
+  'get-rates': {
+    request: {},
+    response: {
+      base: { type: 'currency' },
+      rates: { type: 'rates' },
+      rateDate: { type: 'date', nullable: true },
+    },
+  },
+  convert: {
+    request: {
+      amount: { type: 'number' },
+      from: { type: 'currency' },
+      to: { type: 'currency' },
+      date: { type: 'date', optional: true },
+    },
+    response: {
+      amount: { type: 'number' },
+      from: { type: 'currency' },
+      to: { type: 'currency' },
+      convertedAmount: { type: 'number' },
+      rateDate: { type: 'date', nullable: true },
+    },
+  },
+  detect: {
+    request: {
+      text: { type: 'string', maxLength: EXTERNAL_API_MAX_TEXT_LENGTH },
+      numberFormat: { type: 'enum', values: ['auto', 'us', 'eu'], optional: true },
+    },
+    response: {
+      detections: {
+        type: 'array',
+        of: {
+          type: 'object',
+          fields: {
+            amount: { type: 'number' },
+            currency: { type: 'currency' },
+            currencies: { type: 'array', of: { type: 'currency' } },
+            original: { type: 'string' },
+            start: { type: 'number' },
+            end: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Extension IDs allowed to call the API, listed in externally_connectable.ids
+ * in manifest.json so Chrome and this check share one list.
+ * @returns {string[]}
+ */
+function getExternalAllowedIds() {
+  const ids = chrome.runtime.getManifest().externally_connectable?.ids;
+  return Array.isArray(ids) ? ids.filter(id => id !== '*') : [];
+}
+
+/**
+ * Whether a message sender may use the API: an allowlisted extension, or a
+ * page served from localhost.
+ */
+function isExternalSenderAllowed(sender) {
+  // Content scripts of other extensions run on localhost pages too; they are judged by their ID
+  if (sender?.id) return getExternalAllowedIds().includes(sender.id);
+
+  try {
+    return EXTERNAL_API_LOCAL_HOSTS.includes(new URL(sender?.origin || sender?.url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a request against its schema.
+ * @param {Object} request - { type, apiVersion?, ...fields }
+ * @returns {Object} The request
+ * @throws {Error} Describing the first problem found
+ */
+function validateExternalRequest(request) {
+  if (!isPlainObject(request)) {
+    throw new Error('Request must be an object');
+  }
+  if (!Object.hasOwn(EXTERNAL_API_SCHEMAS, request.type)) {
+    throw new Error(`Unknown request type: ${request.type}`);
+  }
+  if (request.apiVersion !== undefined && request.apiVersion !== EXTERNAL_API_VERSION) {
+    throw new Error(`Unsupported apiVersion ${request.apiVersion}; this extension speaks version ${EXTERNAL_API_VERSION}`);
+  }
+
+  const problem = findMessageSchemaProblem(request, EXTERNAL_API_SCHEMAS[request.type].request, ['type', 'apiVersion']);
+  if (problem) {
+    throw new Error(`Invalid ${request.type} request: ${problem}`);
+  }
+  return request;
+}
+
+/**
+ * Wrap a handler result in the versioned success envelope, after checking
+ * it against the response schema.
+ * @throws {Error} If the result does not match the schema
+ */
+function createExternalResponse(type, result) {
+  const problem = findMessageSchemaProblem(result, EXTERNAL_API_SCHEMAS[type].response);
+  if (problem) {
+    throw new Error(`Invalid ${type} response: ${problem}`);
+  }
+  return { apiVersion: EXTERNAL_API_VERSION, type, status: 'success', ...result };
+}
+
+function createExternalError(type, message) {
+  return {
+    apiVersion: EXTERNAL_API_VERSION,
+    type: typeof type === 'string' ? type : null,
+    status: 'error',
+    message,
+  };
+}
+
+/**
+ * Every amount the detector finds in a text, left to right.
+ *
+ * @param {string} text
+ * @param {string} numberFormat - 'auto', 'us', or 'eu'
+ * @param {Object} config - Settings from loadSettings(), used for ambiguous symbols
+ * @returns {{ amount: number, currency: string, currencies: string[], original: string,
+ *   start: number, end: number }[]}
+ */
+function detectExternalAmounts(text, numberFormat, config) {
+  CurrencyDetector.setCustomCurrencies(config.customCurrencies);
+  const detections = [];
+  let startIndex = 0;
+
+  while (detections.length < EXTERNAL_API_MAX_DETECTIONS) {
+    const detection = CurrencyDetector.detectCurrency(text, numberFormat, { startIndex });
+    if (!detection) break;
+
+    const currency = chooseDetectedCurrency(detection, config);
+    if (currency && Number.isFinite(detection.amount)) {
+      detections.push({
+        amount: detection.amount,
+        currency,
+        currencies: [...detection.currencies],
+        original: detection.original,
+        start: detection.start,
+        end: detection.end,
+      });
+    }
+    startIndex = Math.max(detection.end, startIndex + 1);
+  }
+  return detections;
+}
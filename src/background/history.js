@@ -0,0 +1,85 @@
+/**
+ * Local history of the conversions shown in the selection tooltip, listed and
+ * searched in the side panel. Only the newest LIMITS.MAX_HISTORY_ENTRIES are
+ * kept, and nothing leaves the device. The side panel loads this file too,
+ * for searchConversionHistory().
+ * Uses globals from constants.js (loaded via importScripts).
+ */
+
+let historyWrite = Promise.resolve();
+
+/**
+ * Page address stored with a conversion: origin and path only, so query
+ * strings and fragments (which may carry session tokens) are not kept.
+ * @returns {string|null} null for missing or non-web URLs
+ */
+function getHistoryPageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add a conversion to the front of the history. An entry with the same id
+ * is replaced, so a tooltip whose amount, target or date changes keeps a
+ * single entry. Writes are chained so two quick ones cannot drop an entry.
+ *
+ * @param {{ id?: string, url?: string, originalAmount: number, originalCurrency: string,
+ *   convertedAmount: number, targetCurrency: string, rateDate: string|null }} conversion
+ * @returns {Promise<Object>} The stored entry
+ */
+function recordConversionHistory(conversion) {
+  const entry = {
+    id: conversion.id || crypto.randomUUID(),
+    url: getHistoryPageUrl(conversion.url),
+    originalAmount: conversion.originalAmount,
+    originalCurrency: conversion.originalCurrency,
+    convertedAmount: conversion.convertedAmount,
+    targetCurrency: conversion.targetCurrency,
+    rateDate: conversion.rateDate || null,
+    timestamp: new Date().toISOString(),
+  };
+
+  const write = historyWrite.then(async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.CONVERSION_HISTORY);
+    const history = Array.isArray(result[STORAGE_KEYS.CONVERSION_HISTORY])
+      ? result[STORAGE_KEYS.CONVERSION_HISTORY].filter(item => item.id !== entry.id)
+      : [];
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.CONVERSION_HISTORY]: [entry, ...history].slice(0, LIMITS.MAX_HISTORY_ENTRIES),
+    });
+    return entry;
+  });
+  historyWrite = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Filter the conversion history shown in the side panel. Every word of the
+ * query must appear in the entry's page, currencies, amounts, or rate date.
+ *
+ * @param {Object[]} entries - Stored history entries, newest first
+ * @param {string} query
+ * @returns {Object[]}
+ */
+function searchConversionHistory(entries, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!Array.isArray(entries)) return [];
+  if (!words.length) return entries;
+
+  return entries.filter((entry) => {
+    const text = [
+      entry.url,
+      entry.originalAmount,
+      entry.originalCurrency,
+      entry.convertedAmount,
+      entry.targetCurrency,
+      entry.rateDate,
+    ].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
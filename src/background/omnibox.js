@@ -0,0 +1,103 @@
+/**
+ * Address bar conversions with the `cc` keyword, e.g. "cc 120 chf to eur".
+ * Queries are read with the same CurrencyDetector rules as page selections,
+ * so symbols, ISO codes, currency names and number formats all work.
+ * Uses globals from constants.js and currency-detector.js (loaded via importScripts).
+ */
+
+const OMNIBOX_HELP_TEXT = 'Convert an amount, e.g. <match>120 chf to eur</match> or <match>$50 in gbp, jpy</match>';
+
+// "120 chf to eur": everything after the last separator names the targets
+const OMNIBOX_QUERY_PATTERN = /^(.*\S)\s+(?:to|in|into|=|->|→)\s+(.+)$/i;
+
+/**
+ * Escape text for an omnibox description, which is parsed as XML.
+ */
+function escapeOmniboxText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Currency named by a target phrase: an ISO code, or anything the detector
+ * reads as a currency after a number ("dollars", "swiss francs", "€").
+ * @returns {string|null}
+ */
+function resolveOmniboxCurrency(phrase, config) {
+  const code = phrase.trim().toUpperCase();
+  if (getCurrencyNames(config.customCurrencies)[code]) return code;
+
+  const text = `1 ${phrase.trim()}`;
+  const detection = CurrencyDetector.detectCurrency(text, 'us', { maxLength: LIMITS.MAX_SELECTION_LENGTH });
+  if (!detection || detection.start !== 0 || detection.end !== text.length) return null;
+  return chooseDetectedCurrency(detection, config);
+}
+
+/**
+ * Target currencies of a query: the whole phrase as one currency, otherwise
+ * a list separated by commas, spaces or "and".
+ */
+function parseOmniboxTargets(phrase, config) {
+  const whole = resolveOmniboxCurrency(phrase, config);
+  if (whole) return [whole];
+
+  const targets = phrase
+    .split(/\s*,\s*|\s+and\s+|\s+/i)
+    .filter(Boolean)
+    .map(part => resolveOmniboxCurrency(part, config));
+  return targets.every(Boolean) ? [...new Set(targets)] : [];
+}
+
+/**
+ * Parse an omnibox query into an amount, its currency and the requested
+ * targets. An empty target list means "use the favourite targets".
+ *
+ * @param {string} text - Input after the keyword
+ * @param {Object} config - Settings from loadSettings()
+ * @returns {{ amount: number, fromCurrency: string, targetCurrencies: string[] }|null}
+ */
+function parseOmniboxQuery(text, config) {
+  const query = String(text || '').trim();
+  if (!query || query.length > LIMITS.MAX_SELECTION_LENGTH) return null;
+
+  CurrencyDetector.setCustomCurrencies(config.customCurrencies);
+  const match = OMNIBOX_QUERY_PATTERN.exec(query);
+  const source = match ? match[1] : query;
+
+  const detection = CurrencyDetector.detectCurrency(source, config.numberFormat, {
+    maxLength: LIMITS.MAX_SELECTION_LENGTH,
+    startIndex: 0,
+  });
+  const fromCurrency = chooseDetectedCurrency(detection, config);
+  if (!fromCurrency || !Number.isFinite(detection.amount)) return null;
+
+  const targetCurrencies = match ? parseOmniboxTargets(match[2], config) : [];
+  if (match && !targetCurrencies.length) return null;
+
+  return { amount: detection.amount, fromCurrency, targetCurrencies };
+}
+
+/**
+ * Suggestion for one conversion; the description is the result. Moving to it
+ * with the arrow keys shows its plain query after the keyword, so it can be
+ * edited further. There is no onInputEntered listener, so entering it does
+ * nothing.
+ *
+ * @returns {{ content: string, description: string }}
+ */
+function formatOmniboxSuggestion({ amount, fromCurrency, targetCurrency, conversion, rateDate }, outputFormat) {
+  const original = `${formatCurrencyAmount(amount, fromCurrency, outputFormat)} ${fromCurrency}`;
+  const converted = `${formatCurrencyAmount(conversion.convertedAmount, targetCurrency, outputFormat)} ${targetCurrency}`;
+  const notes = [
+    conversion.feeMarkupPercent > 0 ? `incl. ${conversion.feeMarkupPercent}% fee` : '',
+    rateDate ? `rates of ${rateDate}` : '',
+  ].filter(Boolean).join(', ');
+
+  return {
+    content: `${amount} ${fromCurrency} to ${targetCurrency}`,
+    description: `${escapeOmniboxText(original)} = <match>${escapeOmniboxText(converted)}</match>` +
+      (notes ? ` <dim>(${escapeOmniboxText(notes)})</dim>` : ''),
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Exchange rate provider adapters.
+ * Each provider fetches one feed, parses it into a rate map, and describes its
+ * base currency, supported codes, and attribution. fetchRatesFromProvider()
+ * normalizes every provider to the EUR-based map the rest of the extension uses.
+ * Uses globals from constants.js and rates.js (loaded via importScripts).
+ */
+
+/**
+ * @typedef {Object} RateProvider
+ * @property {string} id - Stable identifier stored in settings
+ * @property {string} name - Human-readable source name
+ * @property {string} url - Feed URL (overridable for tests)
+ * @property {string} baseCurrency - Currency the feed's rates are quoted against
+ * @property {string[]} supportedCurrencies - Codes kept from the feed
+ * @property {string} attribution - Credit line shown to users
+ * @property {function(Object|null): Promise<Object>} fetch - Download the raw feed,
+ *   conditionally when validators are given: { notModified } or { text, validators }
+ * @property {function(string): { date: string|null, rates: Object }} parse - Raw feed ->
+ *   publication date and { currency: rateVsBase }
+ */
+
+/**
+ * European Central Bank daily reference rates (XML, EUR base).
+ * @param {{ url?: string }} options
+ * @returns {RateProvider}
+ */
+function createEcbProvider({ url = ECB_API_URL } = {}) {
+  return {
+    id: 'ecb',
+    name: RATE_PROVIDER_NAMES.ecb,
+    url,
+    baseCurrency: 'EUR',
+    supportedCurrencies: ECB_CURRENCIES,
+    attribution: 'Euro foreign exchange reference rates from the European Central Bank',
+    fetch: validators => fetchTextIfModified(url, 'ECB API', validators),
+    parse: xmlText => ({ date: parseEcbRateDate(xmlText), rates: parseEcbXml(xmlText) }),
+  };
+}
+
+/**
+ * Frankfurter API (JSON, EUR base). Republishes the ECB reference rates from
+ * its own servers, so it keeps answering while the ECB site is down.
+ * @param {{ url?: string }} options
+ * @returns {RateProvider}
+ */
+function createFrankfurterProvider({ url = FRANKFURTER_API_URL } = {}) {
+  return {
+    id: 'frankfurter',
+    name: RATE_PROVIDER_NAMES.frankfurter,
+    url,
+    baseCurrency: 'EUR',
+    supportedCurrencies: ECB_CURRENCIES,
+    attribution: 'ECB reference rates served by the Frankfurter API',
+    fetch: validators => fetchTextIfModified(url, 'Frankfurter API', validators),
+    parse: parseFrankfurterJson,
+  };
+}
+
+/**
+ * Parse a Frankfurter /latest response: { base, date, rates: { USD: 1.08 } }.
+ */
+function parseFrankfurterJson(jsonText) {
+  const rates = {};
+  const data = JSON.parse(jsonText);
+
+  Object.entries(data?.rates || {}).forEach(([currency, rate]) => {
+    if (/^[A-Z]{3}$/.test(currency) && Number.isFinite(rate) && rate > 0) {
+      rates[currency] = rate;
+    }
+  });
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(data?.date) ? data.date : null;
+  return { date, rates };
+}
+
+var RATE_PROVIDERS = {
+  ecb: createEcbProvider(),
+  frankfurter: createFrankfurterProvider(),
+};
+
+/**
+ * Fetch and parse one provider, re-expressing its rates against EUR and
+ * dropping codes the provider does not claim to support.
+ *
+ * @param {RateProvider} provider
+ * @param {Object|null} validators - ETag / Last-Modified from the last response
+ * @returns {Promise<{ notModified: true } | { date: string|null, rates: Object, validators: Object }>}
+ *   Publication date and rate map { currency: rateVsEUR } with EUR = 1
+ */
+async function fetchRatesFromProvider(provider, validators = null) {
+  const response = await provider.fetch(validators);
+  if (response.notModified) return response;
+
+  const parsed = provider.parse(response.text);
+  const baseRates = { ...parsed.rates, [provider.baseCurrency]: 1 };
+  const eurRate = baseRates.EUR;
+
+  if (!eurRate) {
+    throw new Error(`${provider.name} did not include a EUR rate`);
+  }
+
+  const rates = {};
+  provider.supportedCurrencies.forEach((currency) => {
+    if (baseRates[currency] != null) {
+      rates[currency] = baseRates[currency] / eurRate;
+    }
+  });
+  rates.EUR = 1;
+
+  if (Object.keys(rates).length < 2) {
+    throw new Error(`${provider.name} returned no usable rates`);
+  }
+
+  return { date: parsed.date, rates, validators: response.validators };
+}
+
+/**
+ * Resolve the configured fallback chain to provider objects.
+ * Unknown ids are ignored and an empty chain falls back to ECB.
+ * @param {string[]} providerIds
+ * @returns {RateProvider[]}
+ */
+function getProviderChain(providerIds) {
+  const chain = (Array.isArray(providerIds) ? providerIds : [])
+    .filter((id, index, ids) => RATE_PROVIDERS[id] && ids.indexOf(id) === index)
+    .map(id => RATE_PROVIDERS[id]);
+  return chain.length ? chain : [RATE_PROVIDERS.ecb];
+}
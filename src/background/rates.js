@@ -1,41 +1,205 @@
 /**
- * ECB exchange rate fetching, caching, and conversion.
- * All ECB rates are EUR-based. Non-EUR pairs are cross-calculated.
- * Uses globals from constants.js (loaded via importScripts).
+ * Exchange rate fetching, caching, and conversion.
+ * All cached rates are EUR-based. Non-EUR pairs are cross-calculated.
+ * Uses globals from constants.js and providers.js (loaded via importScripts).
  */
 
 const FETCH_TIMEOUT_MS = 10000;
-const STALE_THRESHOLD_MS = 48 * 60 * 60 * 1000; // 48 hours
 const MAX_RETRIES = 3;
 const BASE_RETRY_DELAY_MS = 2000;
+const ECB_FIRST_RATE_DATE = '1999-01-04';
+const HISTORY_LOOKBACK_DAYS = 10;
+const RECHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const ECB_PUBLICATION_HOUR = 16; // Frankfurt time
+const PUBLICATION_MARGIN_MINUTES = 15;
+const REFRESH_RETRY_MS = 30 * 60 * 1000; // 30 minutes
+// Sanity limits for a new rate set. The ECB publishes about 30 currencies and
+// occasionally drops one (HRK after Croatia joined the euro), so a small number
+// of missing codes is tolerated. Day-over-day moves are only compared while the
+// cached set is recent enough for a large move to be implausible.
+const MIN_RATE_COUNT = 20;
+const MAX_MISSING_CURRENCIES = 2;
+const MAX_DAILY_CHANGE_RATIO = 0.25;
+const MAX_COMPARABLE_AGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEED_PROVIDER_ID = 'seed';
+const RATE_LOG_MAX_DAYS = 400; // Business days of fetched rate sets kept locally
 
 /**
- * Fetch latest rates from the ECB XML endpoint.
- * Parses the XML and returns a map of { currency: rateVsEUR }.
- * EUR itself is always 1.
+ * Fetch latest rates from one provider (ECB by default) and cache them.
+ * The snapshot carries the provider's publication date (rateDate) separately
+ * from the moment we downloaded it (timestamp).
+ *
+ * Sends the validators from the provider's previous response, so an
+ * unchanged feed answers 304 and only the fetch time is updated.
+ * @param {RateProvider} provider
+ * @returns {Promise<RateSnapshot>}
  */
-async function fetchRates() {
+async function fetchRates(provider = RATE_PROVIDERS.ecb) {
+  const cached = await getCachedRates();
+  const validators = cached.rates && cached.validators?.provider === provider.id
+    ? cached.validators
+    : null;
+  const result = await fetchRatesFromProvider(provider, validators);
+  const timestamp = new Date().toISOString();
+
+  if (result.notModified) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.RATES_TIMESTAMP]: timestamp });
+    return { ...cached, timestamp };
+  }
+
+  const validation = validateRateSet(result.rates, result.date, cached);
+  if (!validation.valid) {
+    await quarantineRates(result, provider, validation.reason, timestamp);
+    // Fetching again would only return the same data
+    const error = new Error(`${provider.name} rates rejected: ${validation.reason}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const snapshot = {
+    rates: result.rates,
+    rateDate: result.date,
+    timestamp,
+    provider: provider.id,
+    validators: { provider: provider.id, ...result.validators },
+  };
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RATES]: snapshot.rates,
+    [STORAGE_KEYS.RATES_DATE]: snapshot.rateDate,
+    [STORAGE_KEYS.RATES_TIMESTAMP]: snapshot.timestamp,
+    [STORAGE_KEYS.RATES_PROVIDER]: snapshot.provider,
+    [STORAGE_KEYS.RATES_VALIDATORS]: snapshot.validators,
+  });
+  await recordRateLog(snapshot);
+
+  return snapshot;
+}
+
+/**
+ * Check a freshly fetched rate set against the last known good one.
+ * Rejects sets that are too small, have lost several cached currencies, or
+ * move implausibly far from recent cached rates.
+ *
+ * @param {Object} rates - New { currency: rateVsEUR }
+ * @param {string|null} rateDate - Publication date of the new rates
+ * @param {RateSnapshot} cached - Current cache (may be empty)
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+function validateRateSet(rates, rateDate, cached) {
+  const codes = Object.keys(rates || {});
+  if (codes.length < MIN_RATE_COUNT) {
+    return { valid: false, reason: `only ${codes.length} rates (expected at least ${MIN_RATE_COUNT})` };
+  }
+
+  const invalid = codes.filter(code => !Number.isFinite(rates[code]) || rates[code] <= 0);
+  if (invalid.length) {
+    return { valid: false, reason: `invalid rates for ${invalid.join(', ')}` };
+  }
+
+  if (!cached?.rates) return { valid: true, reason: null };
+
+  const missing = Object.keys(cached.rates).filter(code => rates[code] == null);
+  if (missing.length > MAX_MISSING_CURRENCIES) {
+    return { valid: false, reason: `missing ${missing.join(', ')}` };
+  }
+
+  if (rateDate && cached.rateDate && rateDate < cached.rateDate) {
+    return { valid: false, reason: `rates of ${rateDate} are older than cached ${cached.rateDate}` };
+  }
+
+  const cachedDate = parseIsoDate(cached.rateDate);
+  const newDate = parseIsoDate(rateDate);
+  const comparable = cachedDate && newDate &&
+    newDate.getTime() - cachedDate.getTime() <= MAX_COMPARABLE_AGE_DAYS * DAY_MS;
+  if (comparable) {
+    const jumps = codes.filter((code) => {
+      const previous = cached.rates[code];
+      return previous > 0 && Math.abs(rates[code] - previous) / previous > MAX_DAILY_CHANGE_RATIO;
+    });
+    if (jumps.length) {
+      return { valid: false, reason: `implausible change for ${jumps.join(', ')}` };
+    }
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Keep a rejected rate set aside for inspection without touching the cache.
+ */
+async function quarantineRates(result, provider, reason, timestamp) {
+  console.warn(`[OpenSourceCurrencyConverter] Rejected rates from ${provider.name}: ${reason}`);
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RATES_QUARANTINE]: {
+      rates: result.rates,
+      rateDate: result.date,
+      provider: provider.id,
+      reason,
+      timestamp,
+    },
+  });
+}
+
+/**
+ * Conditionally download a feed with If-None-Match / If-Modified-Since.
+ * @param {string} url - Feed URL
+ * @param {string} sourceName - Used in error messages ("ECB API returned 503")
+ * @param {{ etag?: string|null, lastModified?: string|null }|null} validators
+ * @returns {Promise<{ notModified: true } | { text: string, validators: Object }>}
+ */
+async function fetchTextIfModified(url, sourceName, validators = null) {
+  const headers = {};
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
   try {
-    const response = await fetch(ECB_API_URL, { signal: controller.signal });
+    const response = await fetch(url, { headers, signal: controller.signal });
     clearTimeout(timeoutId);
 
+    if (response.status === 304) {
+      return { notModified: true };
+    }
     if (!response.ok) {
-      throw new Error(`ECB API returned ${response.status}`);
+      throw new Error(`${sourceName} returned ${response.status}`);
     }
 
-    const xmlText = await response.text();
-    const rates = parseEcbXml(xmlText);
-    rates.EUR = 1;
+    return {
+      text: await response.text(),
+      validators: {
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+      },
+    };
+  } catch (err) {
+    clearTimeout(timeoutId);
+    throw err;
+  }
+}
 
-    await chrome.storage.local.set({
-      [STORAGE_KEYS.RATES]: rates,
-      [STORAGE_KEYS.RATES_TIMESTAMP]: new Date().toISOString(),
-    });
+/**
+ * Download a text feed, aborting after FETCH_TIMEOUT_MS.
+ * @param {string} url - Feed URL
+ * @param {string} sourceName - Used in error messages ("ECB API returned 503")
+ * @returns {Promise<string>} Raw response text
+ */
+async function fetchText(url, sourceName) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`${sourceName} returned ${response.status}`);
+    }
 
-    return rates;
+    return await response.text();
   } catch (err) {
     clearTimeout(timeoutId);
     throw err;
@@ -44,16 +208,18 @@ async function fetchRates() {
 
 /**
  * Retry wrapper for fetchRates with exponential backoff.
- * Skips retries for client errors (4xx) except 429 (rate limit).
+ * Skips retries for client errors (4xx) except 429 (rate limit), and for
+ * rate sets that failed validation (errors with `retryable: false`).
+ * @param {RateProvider} provider
  */
-async function fetchRatesWithRetry() {
+async function fetchRatesWithRetry(provider = RATE_PROVIDERS.ecb) {
   let lastError;
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
-      return await fetchRates();
+      return await fetchRates(provider);
     } catch (err) {
       lastError = err;
-      if (err.message?.includes('returned 4') && !err.message.includes('429')) {
+      if (err.retryable === false || (err.message?.includes('returned 4') && !err.message.includes('429'))) {
         throw err;
       }
       if (attempt < MAX_RETRIES - 1) {
@@ -65,6 +231,26 @@ async function fetchRatesWithRetry() {
   throw lastError;
 }
 
+/**
+ * Walk the provider fallback chain from settings, retrying each provider
+ * before moving on to the next one.
+ * @returns {Promise<RateSnapshot>} Snapshot from the first provider that answers
+ */
+async function fetchRatesFromChain() {
+  const config = await loadSettings();
+
+  let lastError;
+  for (const provider of getProviderChain(config.rateProviders)) {
+    try {
+      return await fetchRatesWithRetry(provider);
+    } catch (err) {
+      lastError = err;
+      console.warn(`[OpenSourceCurrencyConverter] ${provider.name} rate fetch failed:`, err.message);
+    }
+  }
+  throw lastError;
+}
+
 /**
  * Parse ECB XML to extract currency rates.
  * The XML contains <Cube currency="USD" rate="1.1919"/> elements.
@@ -85,44 +271,200 @@ function parseEcbXml(xmlText) {
   return rates;
 }
 
+/**
+ * Read the publication date from the daily feed's <Cube time="YYYY-MM-DD">.
+ * @returns {string|null}
+ */
+function parseEcbRateDate(xmlText) {
+  const match = /<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]/.exec(xmlText);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse an ECB history feed (90-day or full) into { 'YYYY-MM-DD': rates }.
+ * Each day is a <Cube time="..."> element wrapping the daily currency cubes.
+ */
+function parseEcbHistoryXml(xmlText) {
+  const history = {};
+  const dayRegex = /<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]\s*>([\s\S]*?)<\/Cube>/g;
+  let match;
+
+  while ((match = dayRegex.exec(xmlText)) !== null) {
+    const rates = parseEcbXml(match[2]);
+    if (Object.keys(rates).length === 0) continue;
+    rates.EUR = 1;
+    history[match[1]] = rates;
+  }
+
+  return history;
+}
+
+/**
+ * @typedef {Object} RateSnapshot
+ * @property {Object|null} rates - { currency: rateVsEUR }
+ * @property {string|null} rateDate - Publication date 'YYYY-MM-DD'
+ * @property {string|null} timestamp - ISO time the rates were fetched
+ * @property {string|null} provider - Provider id
+ * @property {{ provider: string, etag: string|null, lastModified: string|null }|null} validators -
+ *   HTTP validators from the response the rates came from
+ */
+
 /**
  * Get cached rates from storage.
- * Returns { rates, timestamp } or { rates: null, timestamp: null }.
+ * @returns {Promise<RateSnapshot>} Null fields when nothing is cached
  */
 async function getCachedRates() {
   const result = await chrome.storage.local.get([
     STORAGE_KEYS.RATES,
+    STORAGE_KEYS.RATES_DATE,
     STORAGE_KEYS.RATES_TIMESTAMP,
+    STORAGE_KEYS.RATES_PROVIDER,
+    STORAGE_KEYS.RATES_VALIDATORS,
   ]);
   return {
     rates: result[STORAGE_KEYS.RATES] || null,
+    rateDate: result[STORAGE_KEYS.RATES_DATE] || null,
     timestamp: result[STORAGE_KEYS.RATES_TIMESTAMP] || null,
+    provider: result[STORAGE_KEYS.RATES_PROVIDER] || null,
+    validators: result[STORAGE_KEYS.RATES_VALIDATORS] || null,
   };
 }
 
 /**
- * Check whether cached rates are too old to be reliable.
- * @param {string|null} timestamp - ISO timestamp of last rate fetch
- * @param {number} maxAgeMs - Maximum acceptable age in milliseconds
- * @returns {boolean}
+ * The rate snapshot bundled with the extension (seed-rates.js), used only
+ * while nothing has ever been fetched. It has no fetch timestamp, so it is
+ * always considered stale and replaced by the first successful fetch.
+ * @returns {RateSnapshot}
+ */
+function getSeedRates() {
+  return {
+    rates: { ...SEED_RATES.rates, EUR: 1 },
+    rateDate: SEED_RATES.date,
+    timestamp: null,
+    provider: SEED_PROVIDER_ID,
+    validators: null,
+  };
+}
+
+function isSeedSnapshot(snapshot) {
+  return snapshot?.provider === SEED_PROVIDER_ID;
+}
+
+function getFrankfurtParts(epoch) {
+  return Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: 'Europe/Berlin',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(epoch)).map(part => [part.type, part.value]),
+  );
+}
+
+/**
+ * Date and hour in Frankfurt, where the ECB publishes at about 16:00.
+ * @returns {{ date: string, hour: number }}
+ */
+function getFrankfurtTime(now = Date.now()) {
+  const parts = getFrankfurtParts(now);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+  };
+}
+
+/**
+ * Epoch milliseconds of a Frankfurt wall-clock time (CET or CEST).
  */
-function isRateStale(timestamp, maxAgeMs = STALE_THRESHOLD_MS) {
+function frankfurtTimeToEpoch(isoDate, hour, minute) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const parts = getFrankfurtParts(guess);
+  const wallClock = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+  );
+  return guess - (wallClock - guess);
+}
+
+/**
+ * The newest rate date the ECB should have published by now: today after the
+ * afternoon publication, otherwise the previous business day.
+ * @returns {string} ISO date
+ */
+function getExpectedRateDate(now = Date.now()) {
+  const { date, hour } = getFrankfurtTime(now);
+  const candidate = hour >= ECB_PUBLICATION_HOUR ? date : addDays(date, -1);
+  return getPreviousBusinessDay(candidate);
+}
+
+/**
+ * When to check for new rates next.
+ * Up-to-date rates wait for the next publication (16:15 Frankfurt time on
+ * the next business day); rates that are behind are retried every
+ * REFRESH_RETRY_MS until the ECB catches up.
+ *
+ * @param {string|null} rateDate - Publication date of the cached rates
+ * @returns {number} Epoch milliseconds
+ */
+function getNextRefreshTime(rateDate, now = Date.now()) {
+  if (!rateDate || rateDate < getExpectedRateDate(now)) {
+    return now + REFRESH_RETRY_MS;
+  }
+
+  const { date, hour } = getFrankfurtTime(now);
+  let candidate = hour >= ECB_PUBLICATION_HOUR ? addDays(date, 1) : date;
+  while (!isTargetBusinessDay(candidate)) {
+    candidate = addDays(candidate, 1);
+  }
+  return frankfurtTimeToEpoch(candidate, ECB_PUBLICATION_HOUR, PUBLICATION_MARGIN_MINUTES);
+}
+
+/**
+ * Whether a timestamp is older than maxAgeMs (or missing).
+ */
+function isOlderThan(timestamp, maxAgeMs, now = Date.now()) {
   if (!timestamp) return true;
-  const age = Date.now() - new Date(timestamp).getTime();
-  return age > maxAgeMs;
+  return now - new Date(timestamp).getTime() > maxAgeMs;
+}
+
+/**
+ * Check whether cached rates are behind what the ECB has published.
+ * Friday's rates are current all weekend; once a newer business day is due,
+ * rates count as stale, rechecked at most every RECHECK_INTERVAL_MS so a late
+ * publication is not polled on every request.
+ *
+ * @param {string|null} rateDate - Publication date of the cached rates
+ * @param {string|null} timestamp - ISO timestamp of the last fetch
+ * @returns {boolean}
+ */
+function isRateStale(rateDate, timestamp, now = Date.now()) {
+  if (!rateDate || !timestamp) return true;
+  if (rateDate >= getExpectedRateDate(now)) return false;
+  return isOlderThan(timestamp, RECHECK_INTERVAL_MS, now);
 }
 
 /**
  * Convert an amount from one currency to another.
- * Cross-calculates through EUR using ECB rates.
+ * Cross-calculates through EUR using ECB rates with exact decimal arithmetic,
+ * rounding once to the target currency's minor unit.
  *
  * @param {number} amount - The amount to convert
  * @param {string} from - Source currency ISO code
  * @param {string} to - Target currency ISO code
  * @param {Object} rates - Rate map { currency: rateVsEUR }
+ * @param {{ markupPercent?: number, roundingMode?: string }} options - Card/bank fee
+ *   added on top of the mid-market rate, and 'half-up' or 'half-even' rounding
  * @returns {number} Converted amount
  */
-function convertCurrency(amount, from, to, rates) {
+function convertCurrency(amount, from, to, rates, { markupPercent = 0, roundingMode = 'half-up' } = {}) {
   if (!Number.isFinite(amount)) {
     throw new Error(`Invalid amount: ${amount}`);
   }
@@ -135,9 +477,316 @@ function convertCurrency(amount, from, to, rates) {
     throw new Error(`Missing rate for ${fromRate == null ? from : ''}${fromRate == null && toRate == null ? ' and ' : ''}${toRate == null ? to : ''}`);
   }
 
-  // Convert to EUR first, then to target
   // fromRate = how many units of 'from' per 1 EUR
   // toRate = how many units of 'to' per 1 EUR
-  const amountInEur = amount / fromRate;
-  return amountInEur * toRate;
+  return convertDecimal(amount, fromRate, toRate, {
+    digits: getCurrencyDigits(to),
+    roundingMode,
+    markupPercent,
+  });
+}
+
+/**
+ * Add user-defined currencies to a EUR-based rate map. A currency pegged to
+ * `base` is quoted as rates[base] * rate; pegs whose base is missing from the
+ * map are skipped.
+ *
+ * @param {Object} rates - { currency: rateVsEUR }
+ * @param {Object[]} customCurrencies - settings.customCurrencies
+ * @returns {Object} New rate map including the custom currencies
+ */
+function applyCustomRates(rates, customCurrencies) {
+  if (!rates) return rates;
+
+  const merged = { ...rates };
+  normalizeCustomCurrencies(customCurrencies).forEach(({ code, base, rate }) => {
+    const baseRate = base === 'EUR' ? 1 : rates[base];
+    if (baseRate != null) {
+      merged[code] = baseRate * rate;
+    }
+  });
+  return merged;
+}
+
+// --- Fetched rate log ---
+
+/**
+ * Add a fetched rate set to the local log, keyed by its publication date.
+ * A later fetch for the same date replaces the earlier one; only the newest
+ * RATE_LOG_MAX_DAYS dates are kept.
+ * @param {RateSnapshot} snapshot
+ */
+async function recordRateLog(snapshot) {
+  if (!parseIsoDate(snapshot?.rateDate) || !snapshot.rates) return;
+
+  const result = await chrome.storage.local.get([STORAGE_KEYS.RATES_LOG]);
+  const log = { ...(result[STORAGE_KEYS.RATES_LOG] || {}), [snapshot.rateDate]: snapshot.rates };
+  const kept = Object.keys(log).sort().slice(-RATE_LOG_MAX_DAYS);
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RATES_LOG]: Object.fromEntries(kept.map(date => [date, log[date]])),
+  });
+}
+
+/**
+ * Daily rates of one pair over the `days` calendar days up to the newest
+ * date in the history.
+ *
+ * @param {Object} history - { 'YYYY-MM-DD': EUR-based rates }
+ * @param {string} from - Source currency ISO code
+ * @param {string} to - Target currency ISO code
+ * @param {number} days - Window length in calendar days
+ * @returns {{ date: string, rate: number }[]} Oldest first; dates missing either currency are skipped
+ */
+function buildRateSeries(history, from, to, days) {
+  const dates = Object.keys(history || {}).filter(date => parseIsoDate(date)).sort();
+  if (!dates.length) return [];
+
+  const since = addDays(dates[dates.length - 1], 1 - days);
+  return dates
+    .filter(date => date >= since)
+    .map((date) => {
+      const fromRate = from === 'EUR' ? 1 : history[date][from];
+      const toRate = to === 'EUR' ? 1 : history[date][to];
+      return fromRate > 0 && toRate > 0 ? { date, rate: toRate / fromRate } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Query a pair's recent rate series from local data only: the log of fetched
+ * rate sets, filled in with the ECB 90-day feed when dated conversions have
+ * already downloaded it. Nothing is fetched.
+ *
+ * @param {string} from - Source currency ISO code
+ * @param {string} to - Target currency ISO code
+ * @param {{ days?: number, customCurrencies?: Object[] }} options
+ * @returns {Promise<{ date: string, rate: number }[]>}
+ */
+async function getRateSeries(from, to, { days = 30, customCurrencies = [] } = {}) {
+  const windowDays = Math.min(Math.max(Math.floor(Number(days)) || 1, 1), RATE_LOG_MAX_DAYS);
+  const result = await chrome.storage.local.get([STORAGE_KEYS.RATES_LOG, STORAGE_KEYS.RATES_HISTORY]);
+  const merged = {
+    ...(result[STORAGE_KEYS.RATES_HISTORY] || {}),
+    ...(result[STORAGE_KEYS.RATES_LOG] || {}),
+  };
+
+  const history = {};
+  Object.keys(merged).forEach((date) => {
+    history[date] = applyCustomRates(merged[date], customCurrencies);
+  });
+  return buildRateSeries(history, from, to, windowDays);
+}
+
+// --- Historical rates ---
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseIsoDate(isoDate) {
+  if (typeof isoDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) return null;
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || toIsoDate(date) !== isoDate ? null : date;
+}
+
+function addDays(isoDate, days) {
+  return toIsoDate(new Date(parseIsoDate(isoDate).getTime() + days * DAY_MS));
+}
+
+/**
+ * Easter Sunday for a Gregorian year (anonymous Gregorian algorithm).
+ * @returns {string} ISO date
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Whether the ECB publishes reference rates on this date.
+ * TARGET2 is closed on weekends, New Year's Day, Good Friday, Easter Monday,
+ * 1 May, and 25-26 December.
+ * @param {string} isoDate - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+function isTargetBusinessDay(isoDate) {
+  const date = parseIsoDate(isoDate);
+  if (!date) return false;
+
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+
+  const monthDay = isoDate.slice(5);
+  if (['01-01', '05-01', '12-25', '12-26'].includes(monthDay)) return false;
+
+  const easter = getEasterSunday(date.getUTCFullYear());
+  return isoDate !== addDays(easter, -2) && isoDate !== addDays(easter, 1);
+}
+
+/**
+ * Latest TARGET business day on or before the given date.
+ * @param {string} isoDate - 'YYYY-MM-DD'
+ * @returns {string}
+ */
+function getPreviousBusinessDay(isoDate) {
+  let candidate = isoDate;
+  while (!isTargetBusinessDay(candidate)) {
+    candidate = addDays(candidate, -1);
+  }
+  return candidate;
+}
+
+/**
+ * Pick the rate set that applied on a date from a history map.
+ * Weekends and TARGET holidays fall back to the previous business day. A
+ * business day the history does not hold (e.g. today before publication)
+ * falls back to the closest earlier day within HISTORY_LOOKBACK_DAYS.
+ *
+ * @param {Object} history - { 'YYYY-MM-DD': rates }
+ * @param {string} asOf - Requested ISO date
+ * @returns {{ date: string, rates: Object } | null}
+ */
+function selectRatesAsOf(history, asOf) {
+  if (!history || !parseIsoDate(asOf)) return null;
+
+  let candidate = getPreviousBusinessDay(asOf);
+  for (let step = 0; step < HISTORY_LOOKBACK_DAYS; step++) {
+    if (history[candidate]) {
+      return { date: candidate, rates: history[candidate] };
+    }
+    candidate = addDays(candidate, -1);
+  }
+  return null;
+}
+
+/**
+ * Get cached history from storage.
+ * Returns { recent, archive, timestamp } where recent holds the 90-day feed
+ * and archive the full-history feed (fetched only when an older date is asked for).
+ */
+async function getCachedRateHistory() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.RATES_HISTORY,
+    STORAGE_KEYS.RATES_HISTORY_TIMESTAMP,
+    STORAGE_KEYS.RATES_HISTORY_ARCHIVE,
+  ]);
+  return {
+    recent: result[STORAGE_KEYS.RATES_HISTORY] || {},
+    archive: result[STORAGE_KEYS.RATES_HISTORY_ARCHIVE] || {},
+    timestamp: result[STORAGE_KEYS.RATES_HISTORY_TIMESTAMP] || null,
+  };
+}
+
+/**
+ * Fetch the ECB 90-day feed and cache it as the recent history.
+ * @returns {Promise<Object>} History map
+ */
+async function fetchRecentHistory() {
+  const history = parseEcbHistoryXml(await fetchText(ECB_HISTORY_90D_URL, 'ECB API'));
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RATES_HISTORY]: history,
+    [STORAGE_KEYS.RATES_HISTORY_TIMESTAMP]: new Date().toISOString(),
+  });
+  return history;
+}
+
+/**
+ * Fetch the full ECB history feed (since 1999) and cache it as the archive.
+ * Past reference rates never change, so the archive is only fetched again
+ * for a date later than its newest day.
+ * @returns {Promise<Object>} History map
+ */
+async function fetchArchiveHistory() {
+  const history = parseEcbHistoryXml(await fetchText(ECB_HISTORY_URL, 'ECB API'));
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.RATES_HISTORY_ARCHIVE]: history,
+  });
+  return history;
+}
+
+/**
+ * Resolve the rate set that applied on a given date, fetching the 90-day or
+ * full ECB history when the cache cannot answer.
+ *
+ * @param {string} asOf - ISO date 'YYYY-MM-DD'; future dates are clamped to today
+ * @returns {Promise<{ date: string, rates: Object }>}
+ */
+async function getRatesAsOf(asOf) {
+  if (!parseIsoDate(asOf)) {
+    throw new Error(`Invalid date: ${asOf}`);
+  }
+  if (asOf < ECB_FIRST_RATE_DATE) {
+    throw new Error(`ECB reference rates start on ${ECB_FIRST_RATE_DATE}`);
+  }
+
+  const today = localIsoDate();
+  const requested = asOf > today ? today : asOf;
+  const wanted = getPreviousBusinessDay(requested);
+  let { recent, archive, timestamp } = await getCachedRateHistory();
+
+  const recentDates = Object.keys(recent).sort();
+  const oldestRecent = recentDates[0];
+  const newestRecent = recentDates[recentDates.length - 1];
+
+  if (oldestRecent && wanted >= oldestRecent) {
+    if (recent[wanted]) return { date: wanted, rates: recent[wanted] };
+    if (wanted > newestRecent && isOlderThan(timestamp, RECHECK_INTERVAL_MS)) {
+      recent = await fetchRecentHistory();
+    }
+    const selected = selectRatesAsOf(recent, requested);
+    if (selected) return selected;
+  } else if (!oldestRecent && addDays(today, -89) <= wanted) {
+    const selected = selectRatesAsOf(await fetchRecentHistory(), requested);
+    if (selected) return selected;
+  }
+
+  // The 90-day feed cannot answer, e.g. the date fell out of its window
+  const archiveDates = Object.keys(archive).sort();
+  if (!archiveDates.length || wanted > archiveDates[archiveDates.length - 1]) {
+    archive = await fetchArchiveHistory();
+  }
+  const selected = selectRatesAsOf(archive, requested);
+  if (selected) return selected;
+
+  throw new Error(`No ECB rates available for ${asOf}`);
+}
+
+/**
+ * Convert an amount using the ECB rates that applied on a given date.
+ *
+ * @param {number} amount - The amount to convert
+ * @param {string} from - Source currency ISO code
+ * @param {string} to - Target currency ISO code
+ * @param {string} asOf - ISO date 'YYYY-MM-DD'
+ * @param {{ customCurrencies?: Object[], markupPercent?: number, roundingMode?: string }} options -
+ *   Custom currencies applied to the dated rates, plus convertCurrency() options
+ * @returns {Promise<{ convertedAmount: number, rateDate: string }>}
+ */
+async function convertCurrencyAsOf(amount, from, to, asOf, {
+  customCurrencies = [],
+  markupPercent = 0,
+  roundingMode = 'half-up',
+} = {}) {
+  const { date, rates } = await getRatesAsOf(asOf);
+  return {
+    convertedAmount: convertCurrency(amount, from, to, applyCustomRates(rates, customCurrencies), {
+      markupPercent,
+      roundingMode,
+    }),
+    rateDate: date,
+  };
 }
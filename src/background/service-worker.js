@@ -4,72 +4,396 @@
  * Uses importScripts to load shared modules and rates.
  */
 
-importScripts('../shared/constants.js', 'rates.js');
+importScripts(
+  '../shared/constants.js',
+  '../shared/decimal.js',
+  '../shared/seed-rates.js',
+  '../shared/messages.js',
+  '../shared/settings.js',
+  '../content/currency-detector.js',
+  'rates.js',
+  'providers.js',
+  'alerts.js',
+  'omnibox.js',
+  'history.js',
+  'external-api.js',
+);
 
 let resolvedRatesCache = null;
 let rateResolutionPromise = null;
-
-function rememberResolvedRates(rates, timestamp = new Date().toISOString()) {
-  if (rates) {
-    resolvedRatesCache = { rates, timestamp };
+let seedFallbackAt = 0;
+// While offline on first run, retry the network at most this often
+const SEED_RETRY_INTERVAL_MS = 60 * 1000;
+const SPARKLINE_DAYS = 30;
+
+function rememberResolvedRates(snapshot) {
+  if (snapshot?.rates) {
+    resolvedRatesCache = snapshot;
   }
-  return rates;
+  return snapshot;
 }
 
 // --- Installation and alarm setup ---
 
 chrome.runtime.onInstalled.addListener(async () => {
-  const existing = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-  if (!existing[STORAGE_KEYS.SETTINGS]) {
-    await chrome.storage.sync.set({
-      [STORAGE_KEYS.SETTINGS]: DEFAULT_SETTINGS,
-    });
+  await migrateStoredSettings();
+  await updateContextMenus();
+  await refreshRatesAndReschedule('Failed to fetch initial rates:');
+});
+
+// Alarms are not guaranteed to survive a browser restart.
+chrome.runtime.onStartup.addListener(async () => {
+  await migrateStoredSettings();
+  await updateContextMenus();
+  const cached = await getCachedRates();
+  if (isRateStale(cached.rateDate, cached.timestamp)) {
+    await refreshRatesAndReschedule('Startup rate refresh failed, using cached rates:');
+  } else {
+    await scheduleNextRefresh(cached.rateDate);
   }
+});
 
+/**
+ * Bring stored settings up to SETTINGS_VERSION. First installs get the
+ * defaults; storage is only written when something changed.
+ */
+async function migrateStoredSettings() {
   try {
-    rememberResolvedRates(await fetchRatesWithRetry());
+    const existing = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+    const stored = existing[STORAGE_KEYS.SETTINGS];
+    const { settings, problems } = migrateSettings(stored);
+    if (problems.length) {
+      console.warn('[OpenSourceCurrencyConverter] Reset invalid settings:', problems.join('; '));
+    }
+    if (JSON.stringify(settings) !== JSON.stringify(stored)) {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.SETTINGS]: settings });
+    }
   } catch (err) {
-    console.warn('[OpenSourceCurrencyConverter] Failed to fetch initial rates:', err.message);
+    console.error('[OpenSourceCurrencyConverter] Settings migration failed:', err.message);
   }
-
-  chrome.alarms.create(ALARM_NAME, { periodInMinutes: ALARM_PERIOD_MINUTES });
-});
+}
 
 // --- Alarm handler ---
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name !== ALARM_NAME) return;
+  await refreshRatesAndReschedule('Alarm rate refresh failed, using cached rates:');
+});
+
+/**
+ * Refresh rates, then schedule the next check around the ECB publication.
+ * A failed refresh is retried on the schedule of whatever is still cached.
+ */
+async function refreshRatesAndReschedule(failureMessage) {
+  let rateDate = null;
+  try {
+    rateDate = rememberResolvedRates(await fetchLatestRates()).rateDate;
+  } catch (err) {
+    console.warn(`[OpenSourceCurrencyConverter] ${failureMessage}`, err.message);
+    rateDate = (await getCachedRates()).rateDate;
+  }
+  await scheduleNextRefresh(rateDate);
+}
+
+/**
+ * Fetch rates through the provider chain, then check the user's rate alerts
+ * against the rates that were cached before the fetch.
+ * @returns {Promise<RateSnapshot>}
+ */
+async function fetchLatestRates() {
+  const previous = await getCachedRates();
+  const snapshot = await fetchRatesFromChain();
+  try {
+    await checkRateAlerts(previous, snapshot);
+  } catch (err) {
+    console.warn('[OpenSourceCurrencyConverter] Rate alert check failed:', err.message);
+  }
+  return snapshot;
+}
+
+/**
+ * Replace the refresh alarm with a one-shot alarm at the next useful check.
+ */
+async function scheduleNextRefresh(rateDate) {
+  await chrome.alarms.create(ALARM_NAME, { when: getNextRefreshTime(rateDate) });
+}
+
+// --- Keyboard shortcuts ---
+
+// Commands from the manifest, forwarded as messages of the same type to content.js
+const TAB_COMMANDS = [MESSAGE_TYPES.CONVERT_SELECTION, MESSAGE_TYPES.TOGGLE_HYBRID];
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!TAB_COMMANDS.includes(command)) return;
+  await sendCommandToTab(command, tab);
+});
+
+/**
+ * Forward a shortcut to every frame of the active tab.
+ */
+async function sendCommandToTab(command, tab) {
+  const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (tabId === undefined) return;
 
   try {
-    rememberResolvedRates(await fetchRatesWithRetry());
+    await chrome.tabs.sendMessage(tabId, createMessage(command));
   } catch (err) {
-    console.warn('[OpenSourceCurrencyConverter] Alarm rate refresh failed, using cached rates:', err.message);
+    // Browser pages and the Web Store have no content script to receive it
+    console.warn('[OpenSourceCurrencyConverter] Shortcut not delivered:', err.message);
   }
+}
+
+// --- Context menu ---
+
+const CONTEXT_MENU_ID = 'convert-selection';
+let contextMenuUpdate = Promise.resolve();
+
+/**
+ * Targets offered in the "Convert selection" submenu: the main target
+ * currency followed by the secondary targets.
+ */
+function getFavouriteTargets(config) {
+  return [
+    config.targetCurrency,
+    ...normalizeSecondaryTargets(config.secondaryTargetCurrencies, config.targetCurrency, config.customCurrencies),
+  ];
+}
+
+/**
+ * Rebuild the selection context menu from the current settings.
+ * Rebuilds are chained so two quick ones cannot create duplicate ids.
+ */
+function updateContextMenus() {
+  contextMenuUpdate = contextMenuUpdate.then(async () => {
+    const config = await loadSettings();
+    await chrome.contextMenus.removeAll();
+    if (!config.extensionEnabled) return;
+
+    chrome.contextMenus.create({ id: CONTEXT_MENU_ID, title: 'Convert selection', contexts: ['selection'] });
+    getFavouriteTargets(config).forEach((code) => {
+      chrome.contextMenus.create({
+        id: `${CONTEXT_MENU_ID}:${code}`,
+        parentId: CONTEXT_MENU_ID,
+        title: `Convert to ${code}`,
+        contexts: ['selection'],
+      });
+    });
+  }).catch((err) => {
+    console.warn('[OpenSourceCurrencyConverter] Context menu update failed:', err.message);
+  });
+  return contextMenuUpdate;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes[STORAGE_KEYS.SETTINGS]) updateContextMenus();
 });
 
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const prefix = `${CONTEXT_MENU_ID}:`;
+  const menuItemId = String(info.menuItemId);
+  if (!tab?.id || !menuItemId.startsWith(prefix)) return;
+  await handleContextMenuConversion(info, tab, menuItemId.slice(prefix.length));
+});
+
+/**
+ * Detect an amount in text selected for the context menu and show its
+ * conversion into `targetCurrency` in the tooltip of the frame it came from.
+ * Works where the page's own handlers get in the way of selection gestures.
+ */
+async function handleContextMenuConversion(info, tab, targetCurrency) {
+  const text = String(info.selectionText || '').trim();
+  if (!text || text.length > LIMITS.MAX_SELECTION_LENGTH) return;
+
+  const config = await loadSettings();
+  CurrencyDetector.setCustomCurrencies(config.customCurrencies);
+  const detection = CurrencyDetector.detectCurrency(text, config.numberFormat, {
+    maxLength: LIMITS.MAX_SELECTION_LENGTH,
+    startIndex: 0,
+  });
+  if (!detection) return;
+
+  await handleCurrencyDetected(
+    { detection: { ...detection, selectionText: text }, targetCurrency },
+    { tab, frameId: info.frameId ?? 0 },
+  );
+}
+
+// --- Omnibox ---
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HELP_TEXT });
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const suggestions = await getOmniboxSuggestions(text);
+  chrome.omnibox.setDefaultSuggestion({
+    description: suggestions.length ? suggestions[0].description : OMNIBOX_HELP_TEXT,
+  });
+  suggest(suggestions.slice(1));
+});
+
+/**
+ * Conversions for an omnibox query, computed from the cached rates. Without
+ * explicit targets the query converts into the favourite targets.
+ * @returns {Promise<{ content: string, description: string }[]>}
+ */
+async function getOmniboxSuggestions(text) {
+  try {
+    const config = await loadSettings();
+    const query = parseOmniboxQuery(text, config);
+    if (!query) return [];
+
+    const snapshot = await resolveRates();
+    if (!snapshot) return [];
+
+    const rates = applyCustomRates(snapshot.rates, config.customCurrencies);
+    const targets = query.targetCurrencies.length ? query.targetCurrencies : getFavouriteTargets(config);
+    return targets
+      .filter(code => code !== query.fromCurrency && rates[code])
+      .map(targetCurrency => formatOmniboxSuggestion({
+        ...query,
+        targetCurrency,
+        conversion: convertWithFee(query.amount, query.fromCurrency, targetCurrency, rates, config),
+        rateDate: snapshot.rateDate,
+      }, config.outputFormat));
+  } catch (err) {
+    console.warn('[OpenSourceCurrencyConverter] Omnibox conversion failed:', err.message);
+    return [];
+  }
+}
+
 // --- Message handler (single listener for all content script messages) ---
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'currency-detected') {
+  try {
+    validateMessage(message, MESSAGE_RECEIVERS.BACKGROUND);
+  } catch (err) {
+    console.warn('[OpenSourceCurrencyConverter] Rejected message:', err.message);
+    sendResponse(createMessageError(err.message));
+    return false;
+  }
+
+  if (message.type === MESSAGE_TYPES.CURRENCY_DETECTED) {
     handleCurrencyDetected(message, sender);
-  } else if (message.type === 'recalculate-conversion') {
+  } else if (message.type === MESSAGE_TYPES.RECALCULATE_CONVERSION) {
     handleRecalculation(message, sender);
-  } else if (message.type === 'manual-sync') {
+  } else if (message.type === MESSAGE_TYPES.MANUAL_SYNC) {
     handleManualSync(sendResponse);
     return true; // async response
-  } else if (message.type === 'get-rates') {
+  } else if (message.type === MESSAGE_TYPES.GET_RATES) {
     handleGetRates(sendResponse);
     return true; // async response
+  } else if (message.type === MESSAGE_TYPES.CONVERT_AS_OF) {
+    handleConvertAsOf(message, sendResponse);
+    return true; // async response
+  } else if (message.type === MESSAGE_TYPES.GET_RATE_SERIES) {
+    handleGetRateSeries(message, sendResponse);
+    return true; // async response
   }
-  return true;
+  return false;
+});
+
+// --- Messaging API for other extensions and local pages ---
+
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  handleExternalRequest(message, sender).then(sendResponse);
+  return true; // async response
 });
 
+/**
+ * Answer a request from another extension or a localhost page. Every request
+ * gets a versioned response; errors are reported in the response rather than thrown.
+ * @returns {Promise<Object>}
+ */
+async function handleExternalRequest(message, sender) {
+  const type = message?.type;
+  if (!isExternalSenderAllowed(sender)) {
+    return createExternalError(type, 'Sender is not allowed to use this API');
+  }
+
+  try {
+    const request = validateExternalRequest(message);
+    if (request.type === 'get-rates') {
+      const snapshot = await resolveRates();
+      return createExternalResponse(type, {
+        base: 'EUR',
+        rates: snapshot.rates,
+        rateDate: snapshot.rateDate || null,
+      });
+    }
+
+    if (request.type === 'convert') {
+      const { amount, from, to, date } = request;
+      let result;
+      if (date) {
+        result = await convertCurrencyAsOf(amount, from, to, date);
+      } else {
+        const snapshot = await resolveRates();
+        result = {
+          convertedAmount: convertCurrency(amount, from, to, snapshot.rates),
+          rateDate: snapshot.rateDate || null,
+        };
+      }
+      return createExternalResponse(type, { amount, from, to, ...result });
+    }
+
+    const config = await loadSettings();
+    return createExternalResponse(type, {
+      detections: detectExternalAmounts(request.text, request.numberFormat || config.numberFormat, config),
+    });
+  } catch (err) {
+    console.warn('[OpenSourceCurrencyConverter] External request failed:', err.message);
+    return createExternalError(type, err.message);
+  }
+}
+
 /**
  * Handle get-rates request from content script for page scanner.
  */
 async function handleGetRates(sendResponse) {
-  const rates = await resolveRates();
-  sendResponse({ rates });
+  const [config, snapshot] = await Promise.all([loadSettings(), resolveRates()]);
+  sendResponse({
+    rates: applyCustomRates(snapshot?.rates, config.customCurrencies) || null,
+    rateDate: snapshot?.rateDate || null,
+  });
+}
+
+/**
+ * Handle a dated conversion request: { amount, fromCurrency, targetCurrency, asOf }.
+ * Responds with the converted amount and the ECB date whose rates were used.
+ */
+async function handleConvertAsOf(message, sendResponse) {
+  const { amount, fromCurrency, targetCurrency, asOf } = message.data;
+
+  try {
+    const config = await loadSettings();
+    const { convertedAmount, rateDate } = await convertCurrencyAsOf(amount, fromCurrency, targetCurrency, asOf, {
+      customCurrencies: config.customCurrencies,
+      markupPercent: getFeeMarkupPercent(config, targetCurrency),
+      roundingMode: config.roundingMode,
+    });
+    sendResponse({ status: 'success', convertedAmount, rateDate });
+  } catch (err) {
+    console.warn('[OpenSourceCurrencyConverter] Dated conversion failed:', err.message);
+    sendResponse({ status: 'error', message: err.message });
+  }
+}
+
+/**
+ * Handle a rate series request: { from, to, days }.
+ * Answers from locally stored rates only, oldest date first.
+ */
+async function handleGetRateSeries(message, sendResponse) {
+  const { from, to, days } = message.data;
+
+  try {
+    const config = await loadSettings();
+    const series = await getRateSeries(from, to, { days, customCurrencies: config.customCurrencies });
+    sendResponse({ status: 'success', series });
+  } catch (err) {
+    console.warn('[OpenSourceCurrencyConverter] Rate series lookup failed:', err.message);
+    sendResponse({ status: 'error', message: err.message });
+  }
 }
 
 // --- Manual Sync & Rate Limiting ---
@@ -88,14 +412,10 @@ async function handleManualSync(sendResponse) {
   }
 
   try {
-    const rates = await fetchRatesWithRetry();
+    const { rateDate, timestamp, provider } = rememberResolvedRates(await fetchLatestRates());
     lastManualSync = Date.now();
 
-    // Get the timestamp we just saved
-    const { timestamp } = await getCachedRates();
-    rememberResolvedRates(rates, timestamp);
-
-    sendResponse({ status: 'success', timestamp });
+    sendResponse({ status: 'success', rateDate, timestamp, provider });
   } catch (err) {
     console.error('[OpenSourceCurrencyConverter] Manual sync failed:', err);
     sendResponse({ status: 'error', message: err.message });
@@ -104,14 +424,18 @@ async function handleManualSync(sendResponse) {
 
 /**
  * Resolve rates, falling back to a fresh fetch if cache is empty or stale.
- * @returns {Object|null} Rate map or null if completely unavailable
+ * Before anything has ever been fetched, a failed fetch falls back to the bundled snapshot.
+ * @returns {RateSnapshot} Rates with their publication date
  */
 async function resolveRates() {
   if (
     resolvedRatesCache?.rates &&
-    !isRateStale(resolvedRatesCache.timestamp)
+    !isRateStale(resolvedRatesCache.rateDate, resolvedRatesCache.timestamp)
   ) {
-    return resolvedRatesCache.rates;
+    return resolvedRatesCache;
+  }
+  if (isSeedSnapshot(resolvedRatesCache) && Date.now() - seedFallbackAt < SEED_RETRY_INTERVAL_MS) {
+    return resolvedRatesCache;
   }
 
   if (rateResolutionPromise) return rateResolutionPromise;
@@ -124,66 +448,163 @@ async function resolveRates() {
 }
 
 async function resolveRatesUncached() {
-  const { rates, timestamp } = await getCachedRates();
+  const cached = await getCachedRates();
 
-  if (rates && !isRateStale(timestamp)) {
-    return rememberResolvedRates(rates, timestamp);
+  if (cached.rates && !isRateStale(cached.rateDate, cached.timestamp)) {
+    return rememberResolvedRates(cached);
   }
 
-  if (rates && isRateStale(timestamp)) {
+  if (cached.rates) {
     console.warn('[OpenSourceCurrencyConverter] Cached rates are stale, attempting refresh.');
     try {
-      return rememberResolvedRates(await fetchRatesWithRetry());
+      return rememberResolvedRates(await fetchLatestRates());
     } catch (err) {
       console.warn('[OpenSourceCurrencyConverter] Refresh failed, using stale rates:', err.message);
-      return rememberResolvedRates(rates, timestamp);
+      return rememberResolvedRates(cached);
     }
   }
 
   // No cached rates at all
   console.warn('[OpenSourceCurrencyConverter] No cached rates, attempting fresh fetch.');
   try {
-    return rememberResolvedRates(await fetchRatesWithRetry());
+    return rememberResolvedRates(await fetchLatestRates());
+  } catch (err) {
+    console.error('[OpenSourceCurrencyConverter] Rate fetch failed, using bundled rates:', err.message);
+    seedFallbackAt = Date.now();
+    return rememberResolvedRates(getSeedRates());
+  }
+}
+
+/**
+ * Convert with the fee markup configured for the target currency, keeping the
+ * mid-market value so the tooltip can show both.
+ */
+function convertWithFee(amount, fromCurrency, targetCurrency, rates, config) {
+  const feeMarkupPercent = getFeeMarkupPercent(config, targetCurrency);
+  const { roundingMode } = config;
+  return {
+    convertedAmount: convertCurrency(amount, fromCurrency, targetCurrency, rates, {
+      markupPercent: feeMarkupPercent,
+      roundingMode,
+    }),
+    midMarketAmount: convertCurrency(amount, fromCurrency, targetCurrency, rates, { roundingMode }),
+    feeMarkupPercent,
+  };
+}
+
+/**
+ * Recent rate series for the tooltip sparkline. Lookups only read local
+ * storage; a failure just leaves the sparkline out.
+ */
+async function getSparklineSeries(fromCurrency, targetCurrency, config) {
+  try {
+    return await getRateSeries(fromCurrency, targetCurrency, {
+      days: SPARKLINE_DAYS,
+      customCurrencies: config.customCurrencies,
+    });
   } catch (err) {
-    console.error('[OpenSourceCurrencyConverter] Rate fetch failed:', err.message);
-    return null;
+    console.warn('[OpenSourceCurrencyConverter] Rate series lookup failed:', err.message);
+    return [];
   }
 }
 
+/**
+ * Conversions into the secondary target currencies, in settings order.
+ * The source currency and the primary target are skipped.
+ */
+function convertSecondaryTargets(amount, fromCurrency, primaryCurrency, rates, config) {
+  return normalizeSecondaryTargets(config.secondaryTargetCurrencies, primaryCurrency, config.customCurrencies)
+    .filter(code => code !== fromCurrency && rates[code])
+    .map(code => ({
+      targetCurrency: code,
+      ...convertWithFee(amount, fromCurrency, code, rates, config),
+    }));
+}
+
 async function handleCurrencyDetected(message, sender) {
-  const settingsResult = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-  const config = { ...DEFAULT_SETTINGS, ...(settingsResult[STORAGE_KEYS.SETTINGS] || {}) };
+  const config = await loadSettings();
 
   if (!message.detection || message.detection.selectionText.length > LIMITS.MAX_SELECTION_LENGTH) return;
 
-  const rates = await resolveRates();
-  if (!rates) return;
+  const snapshot = await resolveRates();
+  if (!snapshot) return;
 
   const fromCurrency = chooseDetectedCurrency(message.detection, config);
   if (!fromCurrency) return;
 
-  if (fromCurrency === config.targetCurrency) return;
-
+  const rates = applyCustomRates(snapshot.rates, config.customCurrencies);
+  const requestedTarget = message.targetCurrency !== fromCurrency && rates[message.targetCurrency]
+    ? message.targetCurrency
+    : null;
+  // A price already in the target currency converts into the first secondary target, or else the
+  // preferred dollar, USD or EUR, so the tooltip still opens with its swap button and target picker
+  const defaultTarget = fromCurrency === config.targetCurrency
+    ? [
+      ...normalizeSecondaryTargets(config.secondaryTargetCurrencies, fromCurrency, config.customCurrencies),
+      config.defaultDollarCurrency,
+      'USD',
+      'EUR',
+    ].find(code => code !== fromCurrency && rates[code])
+    : config.targetCurrency;
+  const targetCurrency = requestedTarget || defaultTarget;
+  if (!targetCurrency) return;
+
+  // Recalculations from this tooltip send the id back and replace its history entry
+  const historyId = crypto.randomUUID();
+  let conversion;
   try {
-    const convertedAmount = convertCurrency(message.detection.amount, fromCurrency, config.targetCurrency, rates);
-
-    chrome.tabs.sendMessage(sender.tab.id, {
-      type: 'show-conversion',
+    conversion = convertWithFee(message.detection.amount, fromCurrency, targetCurrency, rates, config);
+    const secondaryConversions = convertSecondaryTargets(
+      message.detection.amount,
+      fromCurrency,
+      targetCurrency,
+      rates,
+      config,
+    );
+    const rateSeries = await getSparklineSeries(fromCurrency, targetCurrency, config);
+
+    chrome.tabs.sendMessage(sender.tab.id, createMessage(MESSAGE_TYPES.SHOW_CONVERSION, {
       data: {
         originalAmount: message.detection.amount,
         originalCurrency: fromCurrency,
         originalSymbol: message.detection.symbol,
         possibleCurrencies: message.detection.currencies,
-        convertedAmount,
-        targetCurrency: config.targetCurrency,
+        ...conversion,
+        targetCurrency,
+        secondaryConversions,
         outputFormat: config.outputFormat,
+        copyFormat: config.copyFormat,
         disableAnimations: config.disableAnimations,
         negativeStyle: message.detection.negativeStyle,
         compact: message.detection.compact,
-      }
-    }, { frameId: sender.frameId });
+        asOf: null,
+        rateDate: snapshot.rateDate,
+        bundledRates: isSeedSnapshot(snapshot),
+        rateSeries,
+        historyId,
+      },
+    }), { frameId: sender.frameId });
   } catch (err) {
     console.error('[OpenSourceCurrencyConverter] Auto-conversion failed:', err.message);
+    return;
+  }
+
+  await recordTooltipConversion(sender, {
+    id: historyId,
+    originalAmount: message.detection.amount,
+    originalCurrency: fromCurrency,
+    convertedAmount: conversion.convertedAmount,
+    targetCurrency,
+    rateDate: snapshot.rateDate,
+  });
+}
+
+// The side panel history lists the conversions the tooltip showed; failing to record one is not fatal
+async function recordTooltipConversion(sender, conversion) {
+  try {
+    await recordConversionHistory({ url: sender.url || sender.tab.url, ...conversion });
+  } catch (err) {
+    console.warn('[OpenSourceCurrencyConverter] Conversion history update failed:', err.message);
   }
 }
 
@@ -198,29 +619,58 @@ async function handleRecalculation(message, sender) {
     disableAnimations,
     negativeStyle,
     compact,
+    asOf,
+    historyId,
   } = message.data;
 
-  const rates = await resolveRates();
-  if (!rates) return;
-
   try {
-    const convertedAmount = convertCurrency(amount, fromCurrency, targetCurrency, rates);
+    const config = await loadSettings();
+    let rates;
+    let rateDate = null;
+    let bundledRates = false;
+    if (asOf) {
+      ({ rates, date: rateDate } = await getRatesAsOf(asOf));
+    } else {
+      const snapshot = await resolveRates();
+      if (!snapshot) return;
+      ({ rates, rateDate } = snapshot);
+      bundledRates = isSeedSnapshot(snapshot);
+    }
+    rates = applyCustomRates(rates, config.customCurrencies);
+    const conversion = convertWithFee(amount, fromCurrency, targetCurrency, rates, config);
+    const secondaryConversions = convertSecondaryTargets(amount, fromCurrency, targetCurrency, rates, config);
+    const rateSeries = await getSparklineSeries(fromCurrency, targetCurrency, config);
 
-    chrome.tabs.sendMessage(sender.tab.id, {
-      type: 'show-conversion',
+    chrome.tabs.sendMessage(sender.tab.id, createMessage(MESSAGE_TYPES.SHOW_CONVERSION, {
       data: {
         originalAmount: amount,
         originalCurrency: fromCurrency,
         originalSymbol,
         possibleCurrencies,
-        convertedAmount,
+        ...conversion,
         targetCurrency,
+        secondaryConversions,
         outputFormat,
+        copyFormat: config.copyFormat,
         disableAnimations,
         negativeStyle,
         compact,
-      }
-    }, { frameId: sender.frameId });
+        asOf: asOf || null,
+        rateDate,
+        bundledRates,
+        rateSeries,
+        historyId,
+      },
+    }), { frameId: sender.frameId });
+
+    await recordTooltipConversion(sender, {
+      id: historyId,
+      originalAmount: amount,
+      originalCurrency: fromCurrency,
+      convertedAmount: conversion.convertedAmount,
+      targetCurrency,
+      rateDate,
+    });
   } catch (err) {
     console.error('[OpenSourceCurrencyConverter] Recalculation failed:', err.message);
   }
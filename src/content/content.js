@@ -13,6 +13,8 @@
   let scannerRates = null;
   let scannerInitialized = false;
   let scannerUpdateVersion = 0;
+  // Hybrid on/off for this tab only, set by the keyboard shortcut; null follows settings
+  let tabConversionMode = null;
   const siteHostname = getSiteHostname(window.location);
 
   // Load initial theme setting
@@ -27,14 +29,28 @@
     CurrencyTooltip.remove();
   });
 
-  // Listen for conversion responses from the service worker
+  // Listen for conversion responses and keyboard shortcuts from the service worker
   chrome.runtime.onMessage.addListener((message) => {
-    if (message.type === 'show-conversion') {
+    try {
+      validateMessage(message, MESSAGE_RECEIVERS.CONTENT);
+    } catch (err) {
+      console.warn('[OpenSourceCurrencyConverter] Rejected message:', err.message);
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.SHOW_CONVERSION) {
       CurrencyTooltip.show(message.data, currentTheme);
+    } else if (message.type === MESSAGE_TYPES.CONVERT_SELECTION) {
+      convertSelectionNow();
+    } else if (message.type === MESSAGE_TYPES.TOGGLE_HYBRID) {
+      toggleHybridForTab();
     }
   });
 
   function onSelectionChange() {
+    // Typing into a tooltip field moves the selection; keep that tooltip open
+    if (CurrencyTooltip.hasFocus()) return;
+
     // Clear existing tooltip on any selection change
     CurrencyTooltip.remove();
 
@@ -48,6 +64,21 @@
     }, TIMING.DEBOUNCE_MS);
   }
 
+  /**
+   * Convert the current selection without waiting for the selectionchange
+   * debounce. Every frame of the tab gets the shortcut; only the one holding
+   * a selection acts on it.
+   */
+  function convertSelectionNow() {
+    if (!window.getSelection()?.toString().trim()) return;
+
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+      debounceTimer = null;
+    }
+    processSelection();
+  }
+
   async function processSelection() {
     const selection = window.getSelection();
     const text = selection?.toString().trim();
@@ -58,6 +89,8 @@
     }
 
     const settings = await getSettings();
+    CurrencyDetector.setCustomCurrencies(settings.customCurrencies);
+    CurrencyTooltip.setCustomCurrencies(settings.customCurrencies);
 
     // Selection tooltips are available in both Interactive and Hybrid modes.
     if (!settings.extensionEnabled) {
@@ -83,7 +116,7 @@
 
     // Currency reordering is handled by the service worker
     lastDetection = { ...detection, selectionText: text };
-    sendMessage({ type: 'currency-detected', detection: lastDetection });
+    sendMessage(MESSAGE_TYPES.CURRENCY_DETECTED, { detection: lastDetection });
   }
 
   async function getSettings() {
@@ -92,12 +125,8 @@
 
     const loadVersion = settingsCacheVersion;
     let loadPromise;
-    loadPromise = chrome.storage.sync.get(STORAGE_KEYS.SETTINGS)
-      .then((result) => {
-        const loadedSettings = {
-          ...DEFAULT_SETTINGS,
-          ...(result[STORAGE_KEYS.SETTINGS] || {}),
-        };
+    loadPromise = loadSettings()
+      .then((loadedSettings) => {
         if (loadVersion === settingsCacheVersion) {
           settingsCache = loadedSettings;
         }
@@ -121,9 +150,17 @@
     return loadPromise;
   }
 
-  function sendMessage(msg) {
+  function sendMessage(type, fields) {
+    let message;
     try {
-      chrome.runtime.sendMessage(msg);
+      message = createMessage(type, fields);
+    } catch (err) {
+      console.warn('[OpenSourceCurrencyConverter] Message not sent:', err.message);
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage(message);
     } catch {
       // Extension context may be invalidated after update/reload
     }
@@ -140,13 +177,28 @@
     await applyPageScannerSettings(settings);
   }
 
-  async function applyPageScannerSettings(settings) {
+  /**
+   * Switch Hybrid page replacements on or off for this tab until it reloads
+   * or the mode is changed in the popup.
+   */
+  async function toggleHybridForTab() {
+    const settings = await getSettings();
+    const currentMode = tabConversionMode || settings.conversionMode;
+    tabConversionMode = currentMode === 'auto' ? 'interactive' : 'auto';
+    await applyPageScannerSettings(settings);
+  }
+
+  async function applyPageScannerSettings(savedSettings) {
     const updateVersion = ++scannerUpdateVersion;
+    const settings = tabConversionMode
+      ? { ...savedSettings, conversionMode: tabConversionMode }
+      : savedSettings;
+    CurrencyDetector.setCustomCurrencies(settings.customCurrencies);
     const needsRates = shouldLoadPageScannerRates(settings, siteHostname);
 
     if (needsRates && !scannerRates) {
       try {
-        const response = await chrome.runtime.sendMessage({ type: 'get-rates' });
+        const response = await chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.GET_RATES));
         if (response?.rates) {
           scannerRates = response.rates;
         }
@@ -173,22 +225,31 @@
   // Re-initialize scanner when settings change
   chrome.storage.onChanged.addListener(async (changes, area) => {
     if (area === 'sync' && changes[STORAGE_KEYS.SETTINGS]) {
-      const newSettings = {
-        ...DEFAULT_SETTINGS,
-        ...(changes[STORAGE_KEYS.SETTINGS].newValue || {}),
-      };
+      const newSettings = resolveStoredSettings(changes[STORAGE_KEYS.SETTINGS].newValue);
+      const oldSettings = resolveStoredSettings(changes[STORAGE_KEYS.SETTINGS].oldValue);
       settingsCache = newSettings;
       settingsCacheVersion++;
       settingsLoadPromise = null;
 
+      // Choosing a mode in the popup replaces the tab's shortcut toggle
+      if (oldSettings.conversionMode !== newSettings.conversionMode) {
+        tabConversionMode = null;
+      }
+
+      // Custom currency rates are merged in by the service worker; reload them
+      if (JSON.stringify(oldSettings.customCurrencies) !== JSON.stringify(newSettings.customCurrencies)) {
+        scannerRates = null;
+      }
+
       // Check if current site status changed
-      const oldDisabled = isSiteDisabled({ ...DEFAULT_SETTINGS, ...(changes[STORAGE_KEYS.SETTINGS].oldValue || {}) });
+      const oldDisabled = isSiteDisabled(oldSettings);
       const newDisabled = isSiteDisabled(newSettings);
 
       if (newDisabled !== oldDisabled) {
         if (newDisabled) {
           // Site just got disabled
           CurrencyTooltip.remove();
+          CurrencyTooltip.clearPinned();
           // PageScanner doesn't have a public 'stop' method yet, but it checks settings internally
         }
       }
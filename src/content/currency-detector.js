@@ -5,49 +5,10 @@
 
 /* eslint-disable no-var */
 var CurrencyDetector = (() => {
-  // Symbols sorted longest-first so "Mex$" matches before "$"
-  const sortedSymbols = Object.keys(CURRENCY_SYMBOLS)
-    .sort((a, b) => b.length - a.length);
-
-  // Build keyword -> [ISO codes] map from CURRENCY_KEYWORDS.
-  // GENERIC_* entries are skipped because their values are ISO codes (3-letter uppercase),
-  // not actual keywords. Ambiguity for terms like "dollar" is handled by the user's
-  // "Default Dollar Currency" preference in settings.
-  const keywordMap = {};
-  if (typeof CURRENCY_KEYWORDS !== 'undefined') {
-    Object.entries(CURRENCY_KEYWORDS).forEach(([iso, keywords]) => {
-      keywords.forEach(kw => {
-        if (kw.length === 3 && kw === kw.toUpperCase()) return;
-
-        const lowerKw = kw.toLowerCase();
-        if (!keywordMap[lowerKw]) {
-          keywordMap[lowerKw] = [];
-        }
-        if (!keywordMap[lowerKw].includes(iso)) {
-          keywordMap[lowerKw].push(iso);
-        }
-      });
-    });
-  }
-
-  // Sort keywords by length descending to match "Australian Dollar" before "Dollar"
-  const sortedKeywords = Object.keys(keywordMap)
-    .sort((a, b) => b.length - a.length);
-
   function escapeRegex(str) {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
-  const keywordPattern = sortedKeywords.map(escapeRegex).join('|');
-  const compactTokenPattern = [
-    ...sortedSymbols,
-    ...ECB_CURRENCIES,
-    ...sortedKeywords,
-  ]
-    .sort((a, b) => b.length - a.length)
-    .map(escapeRegex)
-    .join('|');
-
   // Matches: 1000, 1,000, 1.000, 1,000.50, 1.000,50, 100.5, 100,5, .99, ,99
   const numberPattern = '(?:\\d{1,3}(?:[.,\\s]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?|[.,]\\d{1,2})';
   const indianNumberPattern = '\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?';
@@ -55,16 +16,117 @@ var CurrencyDetector = (() => {
   const signPattern = '[+\\-−]';
   const leftBoundary = `(?<![A-Za-z0-9_.,'’-])`;
   const rightBoundary = `(?![A-Za-z0-9_.,'’-])`;
+  const compactSuffixPattern = '(k|m|b|bn|million|billion)';
 
-  const isoCodesSet = new Set(ECB_CURRENCIES);
+  // Currency-dependent matchers. Rebuilt by setCustomCurrencies() so user-defined
+  // currencies are recognized alongside the built-in ECB set.
+  let symbolMap;
+  let keywordMap;
+  let isoCodesSet;
+  let kwAfterRe;
+  let kwBeforeRe;
+  let compactBeforeRe;
+  let compactAfterRe;
+  let symbolBeforeRegexes;
+  let symbolAfterRegexes;
+  let customCurrencyKey = '';
 
-  // Pre-compile regexes once at init time (avoids re-creation on every detectCurrency call)
-  const kwAfterRe = keywordPattern
-    ? new RegExp(`${leftBoundary}(?:(${signPattern})\\s*)?(${numberPattern})\\s*(${keywordPattern})\\b${rightBoundary}`, 'ig')
-    : null;
-  const kwBeforeRe = keywordPattern
-    ? new RegExp(`${leftBoundary}(${keywordPattern})\\s*(?:(${signPattern})\\s*)?(${numberPattern})${rightBoundary}`, 'ig')
-    : null;
+  /**
+   * Build the symbol, keyword, and ISO code matchers for the given custom currencies.
+   * @param {Object[]} customCurrencies - Normalized custom currency definitions
+   */
+  function compileMatchers(customCurrencies) {
+    symbolMap = getCurrencySymbols(customCurrencies);
+
+    // Symbols sorted longest-first so "Mex$" matches before "$"
+    const sortedSymbols = Object.keys(symbolMap)
+      .sort((a, b) => b.length - a.length);
+
+    // Build keyword -> [ISO codes] map from CURRENCY_KEYWORDS.
+    // GENERIC_* entries are skipped because their values are ISO codes (3-letter uppercase),
+    // not actual keywords. Ambiguity for terms like "dollar" is handled by the user's
+    // "Default Dollar Currency" preference in settings.
+    keywordMap = {};
+    const addKeyword = (iso, kw) => {
+      if (kw.length === 3 && kw === kw.toUpperCase()) return;
+
+      const lowerKw = kw.toLowerCase();
+      if (!Object.hasOwn(keywordMap, lowerKw)) {
+        keywordMap[lowerKw] = [];
+      }
+      if (!keywordMap[lowerKw].includes(iso)) {
+        keywordMap[lowerKw].push(iso);
+      }
+    };
+    if (typeof CURRENCY_KEYWORDS !== 'undefined') {
+      Object.entries(CURRENCY_KEYWORDS).forEach(([iso, keywords]) => {
+        keywords.forEach(kw => addKeyword(iso, kw));
+      });
+    }
+    // Custom currencies are recognized by their full name ("UAE dirham 20")
+    customCurrencies.forEach(({ code, name }) => addKeyword(code, name));
+
+    // Sort keywords by length descending to match "Australian Dollar" before "Dollar"
+    const sortedKeywords = Object.keys(keywordMap)
+      .sort((a, b) => b.length - a.length);
+
+    isoCodesSet = new Set([...ECB_CURRENCIES, ...customCurrencies.map(({ code }) => code)]);
+
+    const keywordPattern = sortedKeywords.map(escapeRegex).join('|');
+    const compactTokenPattern = [
+      ...sortedSymbols,
+      ...isoCodesSet,
+      ...sortedKeywords,
+    ]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex)
+      .join('|');
+
+    kwAfterRe = keywordPattern
+      ? new RegExp(`${leftBoundary}(?:(${signPattern})\\s*)?(${numberPattern})\\s*(${keywordPattern})\\b${rightBoundary}`, 'ig')
+      : null;
+    kwBeforeRe = keywordPattern
+      ? new RegExp(`${leftBoundary}(${keywordPattern})\\s*(?:(${signPattern})\\s*)?(${numberPattern})${rightBoundary}`, 'ig')
+      : null;
+
+    compactBeforeRe = new RegExp(
+      `${leftBoundary}(?:(${signPattern})\\s*)?(${compactTokenPattern})\\s*` +
+      `(?:(${signPattern})\\s*)?(${numberPattern})\\s*${compactSuffixPattern}${rightBoundary}`,
+      'ig',
+    );
+    compactAfterRe = new RegExp(
+      `${leftBoundary}(?:(${signPattern})\\s*)?(${numberPattern})\\s*` +
+      `${compactSuffixPattern}\\s*(${compactTokenPattern})${rightBoundary}`,
+      'ig',
+    );
+
+    // Symbol regexes with negative lookbehind to prevent matching inside words (e.g., GDDR6)
+    // (?<![A-Za-z0-9]) ensures the symbol is not preceded by alphanumeric characters
+    symbolBeforeRegexes = sortedSymbols.map(symbol => ({
+      symbol,
+      re: new RegExp(`${leftBoundary}(?:(${signPattern})\\s*)?(${escapeRegex(symbol)})\\s*(?:(${signPattern})\\s*)?(${numberPattern})${rightBoundary}`, 'g'),
+    }));
+    symbolAfterRegexes = sortedSymbols.map(symbol => ({
+      symbol,
+      re: new RegExp(`${leftBoundary}(?:(${signPattern})\\s*)?(${numberPattern})\\s*(${escapeRegex(symbol)})${rightBoundary}`, 'g'),
+    }));
+  }
+
+  /**
+   * Recognize user-defined currencies (settings.customCurrencies) in addition to
+   * the built-in ones. Matchers are only rebuilt when the definitions change.
+   * @param {Object[]} customCurrencies
+   */
+  function setCustomCurrencies(customCurrencies) {
+    const normalized = normalizeCustomCurrencies(customCurrencies);
+    const key = JSON.stringify(normalized);
+    if (key === customCurrencyKey) return;
+    customCurrencyKey = key;
+    compileMatchers(normalized);
+  }
+
+  // Matchers for the built-in currencies; setCustomCurrencies() rebuilds them when the custom list changes
+  compileMatchers([]);
 
   const isoBeforeRe = new RegExp(`${leftBoundary}([A-Z]{3})\\s*(?:(${signPattern})\\s*)?(${numberPattern})${rightBoundary}`, 'ig');
   const isoAfterRe = new RegExp(`${leftBoundary}(?:(${signPattern})\\s*)?(${numberPattern})\\s*([A-Z]{3})${rightBoundary}`, 'ig');
@@ -90,28 +152,6 @@ var CurrencyDetector = (() => {
     `${swissTokenPattern}${rightBoundary}`,
     'ig',
   );
-  const compactSuffixPattern = '(k|m|b|bn|million|billion)';
-  const compactBeforeRe = new RegExp(
-    `${leftBoundary}(?:(${signPattern})\\s*)?(${compactTokenPattern})\\s*` +
-    `(?:(${signPattern})\\s*)?(${numberPattern})\\s*${compactSuffixPattern}${rightBoundary}`,
-    'ig',
-  );
-  const compactAfterRe = new RegExp(
-    `${leftBoundary}(?:(${signPattern})\\s*)?(${numberPattern})\\s*` +
-    `${compactSuffixPattern}\\s*(${compactTokenPattern})${rightBoundary}`,
-    'ig',
-  );
-
-  // Symbol regexes with negative lookbehind to prevent matching inside words (e.g., GDDR6)
-  // (?<![A-Za-z0-9]) ensures the symbol is not preceded by alphanumeric characters
-  const symbolBeforeRegexes = sortedSymbols.map(symbol => ({
-    symbol,
-    re: new RegExp(`${leftBoundary}(?:(${signPattern})\\s*)?(${escapeRegex(symbol)})\\s*(?:(${signPattern})\\s*)?(${numberPattern})${rightBoundary}`, 'g'),
-  }));
-  const symbolAfterRegexes = sortedSymbols.map(symbol => ({
-    symbol,
-    re: new RegExp(`${leftBoundary}(?:(${signPattern})\\s*)?(${numberPattern})\\s*(${escapeRegex(symbol)})${rightBoundary}`, 'g'),
-  }));
 
   /**
    * Parse a number string that may use US or EU formatting.
@@ -279,14 +319,14 @@ var CurrencyDetector = (() => {
    * Identify which currencies a symbol, code, or keyword represents.
    */
   function identifyCurrencies(symbolOrCode) {
-    if (CURRENCY_SYMBOLS[symbolOrCode]) {
-      return CURRENCY_SYMBOLS[symbolOrCode];
+    if (Object.hasOwn(symbolMap, symbolOrCode)) {
+      return symbolMap[symbolOrCode];
     }
     if (isoCodesSet.has(symbolOrCode)) {
       return [symbolOrCode];
     }
     const lower = symbolOrCode.toLowerCase();
-    if (keywordMap[lower]) {
+    if (Object.hasOwn(keywordMap, lower)) {
       return keywordMap[lower];
     }
     return [];
@@ -535,5 +575,5 @@ var CurrencyDetector = (() => {
     return applyAccountingParentheses(result, text);
   }
 
-  return { detectCurrency, parseNumber };
+  return { detectCurrency, parseNumber, setCustomCurrencies };
 })();
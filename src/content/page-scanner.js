@@ -387,7 +387,11 @@ var PageScanner = (() => {
             oldSettings.defaultFrCurrency !== config.defaultFrCurrency ||
             oldSettings.numberFormat !== config.numberFormat ||
             oldSettings.outputFormat !== config.outputFormat ||
-            oldSettings.disableAnimations !== config.disableAnimations
+            oldSettings.disableAnimations !== config.disableAnimations ||
+            oldSettings.roundingMode !== config.roundingMode ||
+            getFeeMarkupPercent(oldSettings, config.targetCurrency) !==
+                getFeeMarkupPercent(config, config.targetCurrency) ||
+            (ratesData && rates && ratesData !== rates)
         );
 
         settings = config;
@@ -1321,32 +1325,22 @@ var PageScanner = (() => {
     }
 
     /**
-     * Convert currency locally using cached rates (same logic as service worker).
+     * Convert currency locally using cached rates (same decimal path as the service worker).
      */
     function convertCurrencyLocal(amount, from, to) {
         if (!rates || !Number.isFinite(amount) || from === to) return null;
 
-        try {
-            // ECB rates are EUR-based
-            let amountInEur;
-            if (from === 'EUR') {
-                amountInEur = amount;
-            } else if (rates[from]) {
-                amountInEur = amount / rates[from];
-            } else {
-                return null;
-            }
-
-            let result;
-            if (to === 'EUR') {
-                result = amountInEur;
-            } else if (rates[to]) {
-                result = amountInEur * rates[to];
-            } else {
-                return null;
-            }
+        // ECB rates are EUR-based
+        const fromRate = from === 'EUR' ? 1 : rates[from];
+        const toRate = to === 'EUR' ? 1 : rates[to];
+        if (!fromRate || !toRate) return null;
 
-            return result;
+        try {
+            return convertDecimal(amount, fromRate, toRate, {
+                digits: getCurrencyDigits(to),
+                roundingMode: settings?.roundingMode,
+                markupPercent: getFeeMarkupPercent(settings, to),
+            });
         } catch {
             return null;
         }
@@ -1367,7 +1361,9 @@ var PageScanner = (() => {
     }
 
     function formatOriginalTitle(original, fromCurrency) {
-        return `Original: ${original} (${fromCurrency})`;
+        const feePercent = getFeeMarkupPercent(settings, settings?.targetCurrency);
+        const feeNote = feePercent ? ` · incl. ${feePercent}% card fee` : '';
+        return `Original: ${original} (${fromCurrency})${feeNote}`;
     }
 
     /**
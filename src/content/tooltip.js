@@ -12,7 +12,31 @@ var CurrencyTooltip = (() => {
     formattedAmount: null,
     closeHandler: null,
     keyHandler: null,
+    amountTimer: null,
+    theme: null,
   };
+  // Conversion data behind each pinned card, for its copy buttons
+  const pinnedData = new WeakMap();
+  const PINNED_LAYER_ID = 'currency-converter-pinned';
+  const VIEWPORT_MARGIN = 8;
+
+  const MAX_EXPRESSION_LENGTH = 100;
+  // Names offered by the target picker, including custom currencies
+  let currencyNames = CURRENCY_NAMES;
+  // Symbols of custom currencies, for the "number with symbol" copy format
+  let customSymbols = {};
+
+  /**
+   * Make custom currencies from settings available in the target picker.
+   */
+  function setCustomCurrencies(customCurrencies) {
+    currencyNames = getCurrencyNames(customCurrencies);
+    customSymbols = Object.fromEntries(
+      normalizeCustomCurrencies(customCurrencies)
+        .filter(({ symbol }) => symbol)
+        .map(({ code, symbol }) => [code, symbol]),
+    );
+  }
 
   /**
    * Escape HTML special characters for safe interpolation.
@@ -36,24 +60,198 @@ var CurrencyTooltip = (() => {
     return negativeStyle === 'parentheses' ? `(${label})` : label;
   }
 
-  async function copyValue(data) {
-    if (!data || !navigator.clipboard?.writeText) return false;
+  /**
+   * The conversion into one target currency: the primary conversion, or one
+   * of the secondary conversions listed under it.
+   */
+  function getConversion(data, targetCurrency = data.targetCurrency) {
+    if (targetCurrency === data.targetCurrency) return data;
+    return (data.secondaryConversions || []).find(entry => entry.targetCurrency === targetCurrency) || null;
+  }
 
-    const formatted = formatCurrencyLabel(
-      data.convertedAmount,
-      data.targetCurrency,
+  /**
+   * Amount with its currency symbol, e.g. "$1,234.50" or "(CA$12.00)".
+   * Falls back to the ISO label when the locale has no format for the code.
+   */
+  function formatSymbolAmount(amount, currencyCode, outputFormat, negativeStyle) {
+    const digits = getCurrencyDigits(currencyCode);
+    const symbol = customSymbols[currencyCode];
+    if (symbol) {
+      const label = `${symbol}${formatCurrencyAmount(Math.abs(amount), currencyCode, outputFormat)}`;
+      if (amount >= 0) return label;
+      return negativeStyle === 'parentheses' ? `(${label})` : `-${label}`;
+    }
+
+    try {
+      return new Intl.NumberFormat(resolveOutputLocale(outputFormat), {
+        style: 'currency',
+        currency: currencyCode,
+        currencySign: negativeStyle === 'parentheses' ? 'accounting' : 'standard',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      }).format(amount);
+    } catch {
+      return formatCurrencyLabel(amount, currencyCode, outputFormat, negativeStyle);
+    }
+  }
+
+  /**
+   * Clipboard text for one conversion in one of the COPY_FORMATS. Raw numbers
+   * and CSV fields are written as `1234.50` so spreadsheets read them as numbers.
+   *
+   * @param {Object} data - Conversion data shown in the tooltip
+   * @param {string} [targetCurrency] - Primary or secondary target to copy
+   * @param {string} [format] - Key of COPY_FORMATS; defaults to the saved setting
+   * @returns {string|null} null when there is no conversion into the target
+   */
+  function formatCopyText(data, targetCurrency, format = data?.copyFormat) {
+    const conversion = data && getConversion(data, targetCurrency);
+    if (!conversion) return null;
+
+    const { convertedAmount, targetCurrency: code } = conversion;
+    const converted = formatCurrencyLabel(
+      convertedAmount,
+      code,
+      data.outputFormat,
+      data.negativeStyle,
+      data.compact,
+    );
+    const rawConverted = convertedAmount.toFixed(getCurrencyDigits(code));
+
+    if (format === 'raw') return rawConverted;
+    if (format === 'symbol') return formatSymbolAmount(convertedAmount, code, data.outputFormat, data.negativeStyle);
+    if (format !== 'sentence' && format !== 'markdown' && format !== 'csv') return converted;
+
+    const original = formatCurrencyLabel(
+      data.originalAmount,
+      data.originalCurrency,
       data.outputFormat,
       data.negativeStyle,
       data.compact,
     );
+    const rateDate = data.rateDate || '';
+    if (format === 'sentence') return `${original} → ${converted}`;
+    if (format === 'markdown') {
+      return [
+        '| Original | Converted | Rate date |',
+        '| --- | --- | --- |',
+        `| ${original} | ${converted} | ${rateDate} |`,
+      ].join('\n');
+    }
+    return [data.originalAmount, data.originalCurrency, rawConverted, code, rateDate].join(',');
+  }
+
+  async function copyValue(data, targetCurrency, format) {
+    const text = formatCopyText(data, targetCurrency, format);
+    if (text === null || !navigator.clipboard?.writeText) return false;
+
     try {
-      await navigator.clipboard.writeText(formatted);
+      await navigator.clipboard.writeText(text);
       return true;
     } catch {
       return false;
     }
   }
 
+  /**
+   * Evaluate an amount typed into the tooltip, allowing simple arithmetic such
+   * as `49.99*3` or `(12.50 + 4) / 2`. Numbers are read like page prices, so
+   * `1.299,50` and `1,299.50` both work. Only numbers, + - * / x × ÷ and
+   * parentheses are accepted; nothing is passed to eval().
+   *
+   * @param {string} text
+   * @returns {number|null} null when the expression is invalid or not finite
+   */
+  function evaluateAmountExpression(text) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_EXPRESSION_LENGTH) return null;
+
+    const tokens = text.replace(/\s+/g, '').match(/\d[\d.,]*|\.\d+|[-+*/x×÷()]|./gi);
+    let position = 0;
+
+    function parseExpression() {
+      let value = parseTerm();
+      while (tokens[position] === '+' || tokens[position] === '-') {
+        const operator = tokens[position++];
+        const right = parseTerm();
+        value = operator === '+' ? value + right : value - right;
+      }
+      return value;
+    }
+
+    function parseTerm() {
+      let value = parseFactor();
+      while (/^[*/x×÷]$/i.test(tokens[position] || '')) {
+        const operator = tokens[position++];
+        const right = parseFactor();
+        value = operator === '/' || operator === '÷' ? value / right : value * right;
+      }
+      return value;
+    }
+
+    function parseFactor() {
+      const token = tokens[position++];
+      if (token === '-') return -parseFactor();
+      if (token === '+') return parseFactor();
+      if (token === '(') {
+        const value = parseExpression();
+        if (tokens[position++] !== ')') return NaN;
+        return value;
+      }
+      if (token && /^[\d.]/.test(token)) {
+        const number = CurrencyDetector.parseNumber(token);
+        return Number.isFinite(number) ? number : NaN;
+      }
+      return NaN;
+    }
+
+    const result = parseExpression();
+    if (position !== tokens.length || !Number.isFinite(result)) return null;
+    // Drop float noise such as 149.97000000000003
+    return Number(result.toPrecision(12));
+  }
+
+  /**
+   * Show the outcome of a copy on its button, then restore the idle label.
+   */
+  function showCopyResult(copyButton, copied) {
+    const idleLabel = copyButton.dataset.idleLabel || copyButton.getAttribute('aria-label');
+    copyButton.dataset.idleLabel = idleLabel;
+    copyButton.textContent = copied ? 'Copied' : 'Copy failed';
+    copyButton.setAttribute('aria-label', copied ? 'Converted value copied' : 'Could not copy converted value');
+    setTimeout(() => {
+      if (!copyButton.isConnected) return;
+      copyButton.textContent = 'Copy';
+      copyButton.setAttribute('aria-label', idleLabel);
+    }, TIMING.COPY_DISPLAY_MS);
+  }
+
+  /**
+   * Menu next to the copy button for copying in another format.
+   * The saved default format is marked.
+   */
+  function buildCopyMenuHtml(data) {
+    const defaultFormat = Object.hasOwn(COPY_FORMATS, data.copyFormat) ? data.copyFormat : DEFAULT_SETTINGS.copyFormat;
+    const items = Object.entries(COPY_FORMATS).map(([format, label]) => `
+      <button type="button" class="cc-copy-format" role="menuitem" data-format="${format}">
+        ${escapeHtml(label)}${format === defaultFormat ? ' <small>default</small>' : ''}
+      </button>
+    `).join('');
+    return `
+      <button type="button" class="cc-copy-menu-button" aria-haspopup="menu" aria-expanded="false" aria-label="Copy in another format">▾</button>
+      <div class="cc-copy-menu" role="menu" aria-label="Copy format" hidden>${items}</div>
+    `;
+  }
+
+  function toggleCopyMenu(open) {
+    const menuButton = state.element?.querySelector('.cc-copy-menu-button');
+    const menu = state.element?.querySelector('.cc-copy-menu');
+    if (!menuButton || !menu) return;
+
+    menu.hidden = !open;
+    menuButton.setAttribute('aria-expanded', String(open));
+    if (open) menu.querySelector('.cc-copy-format')?.focus();
+  }
+
   /**
    * Build header HTML with currency pills for multi-currency selections.
    */
@@ -74,6 +272,292 @@ var CurrencyTooltip = (() => {
     `;
   }
 
+  /**
+   * Build the "rates as of" row. Without a chosen date it shows the
+   * publication date of the latest rates, so the business day is always visible.
+   */
+  function buildRateDateHtml(data) {
+    const asOf = escapeHtml(data.asOf || data.rateDate || '');
+    return `
+      <div class="cc-rate-row">
+        <label class="cc-rate-label">Rates as of
+          <input type="date" class="cc-date-input" value="${asOf}" min="1999-01-04" max="${localIsoDate()}" aria-label="Conversion date">
+        </label>
+        <span class="cc-rate-date">${escapeHtml(formatRateDateNote(data))}</span>
+      </div>
+    `;
+  }
+
+  function formatRateDateNote(data) {
+    if (data.bundledRates) return 'Bundled offline rates';
+    if (!data.asOf || !data.rateDate || data.rateDate === data.asOf) return '';
+    return `Using ${data.rateDate}`;
+  }
+
+  /**
+   * Mid-market value shown under a fee-adjusted conversion, so the cost of the
+   * card markup is visible. Empty when no fee applies.
+   */
+  function formatFeeNote(data) {
+    if (!data.feeMarkupPercent || !Number.isFinite(data.midMarketAmount)) return '';
+    const midMarket = formatCurrencyLabel(
+      data.midMarketAmount,
+      data.targetCurrency,
+      data.outputFormat,
+      data.negativeStyle,
+      data.compact,
+    );
+    return `Mid-market ${midMarket} · +${data.feeMarkupPercent}% fee`;
+  }
+
+  /**
+   * Build the direction row: a swap button and the target currency, which
+   * opens a searchable picker of destinations.
+   */
+  function buildTargetHtml(data) {
+    const from = escapeHtml(data.originalCurrency);
+    const to = escapeHtml(data.targetCurrency);
+    return `
+      <div class="cc-target-row">
+        <button type="button" class="cc-swap-button" aria-label="Convert ${to} to ${from} instead" title="Swap direction">⇄</button>
+        <button type="button" class="cc-target-button" aria-expanded="false" aria-label="Choose the currency to convert to">to ${to} ▾</button>
+      </div>
+      <div class="cc-target-picker" hidden>
+        <input type="search" class="cc-target-search" placeholder="Search code or name" aria-label="Search target currencies" autocomplete="off">
+        <ul class="cc-target-options" role="listbox" aria-label="Target currencies"></ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Destinations matching a picker query; the source currency is left out.
+   */
+  function getTargetOptions(query, data) {
+    return filterCurrencyCodes(query, currencyNames).filter(code => code !== data.originalCurrency);
+  }
+
+  function renderTargetOptions(picker, query) {
+    const list = picker.querySelector('.cc-target-options');
+    if (!list || !state.data) return;
+
+    list.replaceChildren(...getTargetOptions(query, state.data).map((code) => {
+      const option = document.createElement('li');
+      option.className = 'cc-target-option';
+      option.dataset.currency = code;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', String(code === state.data.targetCurrency));
+      option.tabIndex = -1;
+      option.textContent = `${code} - ${currencyNames[code]}`;
+      return option;
+    }));
+  }
+
+  function toggleTargetPicker(open) {
+    const picker = state.element?.querySelector('.cc-target-picker');
+    const button = state.element?.querySelector('.cc-target-button');
+    if (!picker || !button) return;
+
+    picker.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+    if (!open) return;
+
+    const search = picker.querySelector('.cc-target-search');
+    search.value = '';
+    renderTargetOptions(picker, '');
+    search.focus();
+  }
+
+  function chooseTargetCurrency(code) {
+    state.element?.querySelector('.cc-target-button')?.focus();
+    toggleTargetPicker(false);
+    if (!state.data || !code || code === state.data.targetCurrency) return;
+    requestRecalculation({ targetCurrency: code });
+  }
+
+  /**
+   * Flip the conversion: the selected amount is read in the current target
+   * currency and converted back into the source currency.
+   */
+  function swapDirection() {
+    if (!state.data) return;
+    requestRecalculation({
+      fromCurrency: state.data.targetCurrency,
+      targetCurrency: state.data.originalCurrency,
+    });
+  }
+
+  /**
+   * Secondary target conversions, each with its own copy button.
+   */
+  function buildSecondaryHtml(data) {
+    const rows = (data.secondaryConversions || []).map((conversion) => {
+      const label = escapeHtml(formatCurrencyLabel(
+        conversion.convertedAmount,
+        conversion.targetCurrency,
+        data.outputFormat,
+        data.negativeStyle,
+        data.compact,
+      ));
+      const code = escapeHtml(conversion.targetCurrency);
+      return `
+        <li class="cc-secondary-row">
+          <span class="cc-secondary-value">${label}</span>
+          <button type="button" class="cc-copy-button" data-target="${code}" aria-label="Copy ${code} value">Copy</button>
+        </li>
+      `;
+    }).join('');
+    return `<ul class="cc-secondary-list">${rows}</ul>`;
+  }
+
+  /**
+   * Polyline points for a rate series scaled into a width x height box, with
+   * the lowest rate on the bottom edge and the highest on the top edge.
+   * @param {{ date: string, rate: number }[]} series - Oldest first
+   * @returns {string} SVG points attribute, empty for fewer than two rates
+   */
+  function buildSparklinePoints(series, width, height) {
+    if (!Array.isArray(series) || series.length < 2) return '';
+
+    const rates = series.map(point => point.rate);
+    const min = Math.min(...rates);
+    const range = Math.max(...rates) - min;
+    return rates.map((rate, index) => {
+      const x = (index / (rates.length - 1)) * width;
+      // A flat series is drawn through the middle
+      const y = range ? height - ((rate - min) / range) * height : height / 2;
+      return `${Number(x.toFixed(1))},${Number(y.toFixed(1))}`;
+    }).join(' ');
+  }
+
+  /**
+   * Change between the first and last rate of a series, e.g. '+1.24%'.
+   */
+  function formatRateChange(series) {
+    if (!Array.isArray(series) || series.length < 2) return '';
+    const first = series[0].rate;
+    const change = (series[series.length - 1].rate / first - 1) * 100;
+    const rounded = Math.abs(change) < 0.005 ? 0 : change;
+    return `${rounded > 0 ? '+' : ''}${rounded.toFixed(2)}%`;
+  }
+
+  /**
+   * Sparkline of the source -> target rate over the cached history, so the
+   * reader can tell whether today's rate is unusually good or bad.
+   * Renders an empty row until at least two days of rates are stored locally.
+   */
+  function buildSparklineHtml(data) {
+    const series = data.rateSeries;
+    const points = buildSparklinePoints(series, 96, 20);
+    if (!points) return '<div class="cc-sparkline-row"></div>';
+
+    const change = formatRateChange(series);
+    const first = series[0];
+    const last = series[series.length - 1];
+    let trend = 'flat';
+    if (last.rate > first.rate) trend = 'up';
+    else if (last.rate < first.rate) trend = 'down';
+    const pair = `${data.originalCurrency}/${data.targetCurrency}`;
+    const description = `${pair} from ${first.date} to ${last.date}: ${first.rate.toPrecision(5)} to ${last.rate.toPrecision(5)}, ${change}`;
+    return `
+      <div class="cc-sparkline-row cc-trend-${trend}" title="${escapeHtml(description)}">
+        <svg class="cc-sparkline" viewBox="-1 -1 98 22" width="98" height="22" role="img" aria-label="${escapeHtml(description)}">
+          <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"></polyline>
+        </svg>
+        <span class="cc-sparkline-change">${escapeHtml(change)}</span>
+        <span class="cc-sparkline-label">${escapeHtml(pair)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Ask the service worker to convert the current tooltip data again.
+   * The answer arrives as a regular show-conversion message.
+   */
+  function requestRecalculation(overrides = {}) {
+    const currentData = state.data;
+    if (!currentData) return;
+
+    try {
+      chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.RECALCULATE_CONVERSION, {
+        data: {
+          amount: currentData.originalAmount,
+          fromCurrency: currentData.originalCurrency,
+          targetCurrency: currentData.targetCurrency,
+          outputFormat: currentData.outputFormat,
+          disableAnimations: currentData.disableAnimations,
+          negativeStyle: currentData.negativeStyle,
+          compact: currentData.compact,
+          originalSymbol: currentData.originalSymbol,
+          possibleCurrencies: currentData.possibleCurrencies,
+          asOf: currentData.asOf || null,
+          historyId: currentData.historyId || null,
+          ...overrides,
+        },
+      }));
+    } catch (err) {
+      // Extension context may be invalidated, or the data failed validation
+      console.warn('[OpenSourceCurrencyConverter] Recalculation not requested:', err.message);
+      return;
+    }
+
+    const valueEl = state.element?.querySelector('.cc-value');
+    if (valueEl) valueEl.style.opacity = '0.5';
+  }
+
+  /**
+   * Swap the original value for a text field holding the amount.
+   */
+  function startAmountEdit(originalValueEl) {
+    if (!state.data || originalValueEl.querySelector('.cc-amount-input')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'cc-amount-input';
+    input.value = String(state.data.originalAmount);
+    input.maxLength = MAX_EXPRESSION_LENGTH;
+    input.setAttribute('aria-label', `Amount in ${state.data.originalCurrency}, arithmetic allowed`);
+    originalValueEl.replaceChildren(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Convert the typed amount once typing pauses.
+   */
+  function scheduleAmountRecalculation(input) {
+    clearTimeout(state.amountTimer);
+    const amount = evaluateAmountExpression(input.value);
+    input.classList.toggle('cc-invalid', amount === null);
+    input.setAttribute('aria-invalid', String(amount === null));
+    if (amount === null) return;
+
+    state.amountTimer = setTimeout(() => {
+      state.amountTimer = null;
+      if (!state.data || amount === state.data.originalAmount) return;
+      // A typed amount has no compact suffix or accounting-style sign of its own
+      requestRecalculation({
+        amount,
+        compact: null,
+        negativeStyle: amount < 0 ? state.data.negativeStyle : null,
+      });
+    }, TIMING.DEBOUNCE_MS);
+  }
+
+  /**
+   * Put the formatted original value back in place of the text field.
+   */
+  function finishAmountEdit(input) {
+    const originalValueEl = input.closest('.cc-original-value');
+    if (!originalValueEl || !state.data) return;
+    originalValueEl.textContent = formatCurrencyLabel(
+      state.data.originalAmount,
+      state.data.originalCurrency,
+      state.data.outputFormat,
+      state.data.negativeStyle,
+      state.data.compact,
+    );
+  }
+
   /**
    * Resolve theme setting to 'light' or 'dark'.
    * 'system' defers to the OS preference via matchMedia.
@@ -142,14 +626,60 @@ var CurrencyTooltip = (() => {
       const copyButton = e.target.closest('.cc-copy-button');
       if (copyButton) {
         e.stopPropagation();
-        const copied = await copyValue(state.data);
-        copyButton.textContent = copied ? 'Copied' : 'Copy failed';
-        copyButton.setAttribute('aria-label', copied ? 'Converted value copied' : 'Could not copy converted value');
-        setTimeout(() => {
-          if (!copyButton.isConnected) return;
-          copyButton.textContent = 'Copy';
-          copyButton.setAttribute('aria-label', 'Copy converted value');
-        }, TIMING.COPY_DISPLAY_MS);
+        showCopyResult(copyButton, await copyValue(state.data, copyButton.dataset.target));
+        return;
+      }
+
+      const copyFormat = e.target.closest('.cc-copy-format');
+      if (copyFormat) {
+        e.stopPropagation();
+        toggleCopyMenu(false);
+        const primaryButton = tooltip.querySelector('.cc-actions .cc-copy-button');
+        const copied = await copyValue(state.data, undefined, copyFormat.dataset.format);
+        if (primaryButton) {
+          primaryButton.focus();
+          showCopyResult(primaryButton, copied);
+        }
+        return;
+      }
+
+      const copyMenuButton = e.target.closest('.cc-copy-menu-button');
+      if (copyMenuButton) {
+        e.stopPropagation();
+        toggleCopyMenu(copyMenuButton.getAttribute('aria-expanded') !== 'true');
+        return;
+      }
+
+      if (e.target.closest('.cc-pin-button')) {
+        e.stopPropagation();
+        pin();
+        return;
+      }
+
+      const originalValueEl = e.target.closest('.cc-original-value');
+      if (originalValueEl) {
+        e.stopPropagation();
+        startAmountEdit(originalValueEl);
+        return;
+      }
+
+      if (e.target.closest('.cc-swap-button')) {
+        e.stopPropagation();
+        swapDirection();
+        return;
+      }
+
+      const targetButton = e.target.closest('.cc-target-button');
+      if (targetButton) {
+        e.stopPropagation();
+        toggleTargetPicker(targetButton.getAttribute('aria-expanded') !== 'true');
+        return;
+      }
+
+      const targetOption = e.target.closest('.cc-target-option');
+      if (targetOption) {
+        e.stopPropagation();
+        chooseTargetCurrency(targetOption.dataset.currency);
         return;
       }
 
@@ -158,28 +688,9 @@ var CurrencyTooltip = (() => {
       if (pill.classList.contains('active')) return;
       e.stopPropagation();
 
-      const newCurrency = pill.dataset.currency;
-      const currentData = state.data;
-      if (!currentData) return;
-
-      try {
-        chrome.runtime.sendMessage({
-          type: 'recalculate-conversion',
-          data: {
-            amount: currentData.originalAmount,
-            fromCurrency: newCurrency,
-            targetCurrency: currentData.targetCurrency,
-            outputFormat: currentData.outputFormat,
-            disableAnimations: currentData.disableAnimations,
-            negativeStyle: currentData.negativeStyle,
-            compact: currentData.compact,
-            originalSymbol: currentData.originalSymbol,
-            possibleCurrencies: currentData.possibleCurrencies,
-          }
-        });
-      } catch {
-        // Extension context may be invalidated
-      }
+      if (!state.data) return;
+
+      requestRecalculation({ fromCurrency: pill.dataset.currency });
 
       tooltip.querySelectorAll('.cc-currency-pill').forEach(p => {
         p.classList.remove('active');
@@ -187,17 +698,87 @@ var CurrencyTooltip = (() => {
       });
       pill.classList.add('active');
       pill.setAttribute('aria-pressed', 'true');
+    });
+
+    tooltip.addEventListener('input', (e) => {
+      const amountInput = e.target.closest('.cc-amount-input');
+      if (amountInput) scheduleAmountRecalculation(amountInput);
+
+      const targetSearch = e.target.closest('.cc-target-search');
+      if (targetSearch) renderTargetOptions(targetSearch.closest('.cc-target-picker'), targetSearch.value);
+    });
 
-      const valueEl = tooltip.querySelector('.cc-value');
-      if (valueEl) valueEl.style.opacity = '0.5';
+    tooltip.addEventListener('focusout', (e) => {
+      const amountInput = e.target.closest('.cc-amount-input');
+      if (amountInput) finishAmountEdit(amountInput);
+    });
+
+    tooltip.addEventListener('change', (e) => {
+      const dateInput = e.target.closest('.cc-date-input');
+      if (!dateInput) return;
+      requestRecalculation({ asOf: dateInput.value || null });
     });
 
     tooltip.addEventListener('mousedown', (e) => {
-      if (e.target.closest('.cc-currency-pill, .cc-copy-button')) e.stopPropagation();
+      if (e.target.closest(
+        '.cc-currency-pill, .cc-copy-button, .cc-pin-button, .cc-date-input, .cc-original-value, ' +
+        '.cc-target-row, .cc-target-picker, .cc-copy-menu-button, .cc-copy-menu',
+      )) {
+        e.stopPropagation();
+      }
     });
 
-    // Keyboard activation for pills (Enter/Space)
+    // Keyboard activation for pills and the editable amount (Enter/Space)
     tooltip.addEventListener('keydown', (e) => {
+      const amountInput = e.target.closest('.cc-amount-input');
+      if (amountInput) {
+        if (e.key === 'Enter') {
+          amountInput.blur();
+        } else if (e.key === 'Escape') {
+          // Leave editing without closing the tooltip
+          e.stopPropagation();
+          clearTimeout(state.amountTimer);
+          amountInput.blur();
+        }
+        return;
+      }
+
+      const targetSearch = e.target.closest('.cc-target-search');
+      if (targetSearch) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          chooseTargetCurrency(getTargetOptions(targetSearch.value, state.data)[0]);
+        } else if (e.key === 'Escape') {
+          // Close the picker without closing the tooltip
+          e.stopPropagation();
+          state.element?.querySelector('.cc-target-button')?.focus();
+          toggleTargetPicker(false);
+        }
+        return;
+      }
+
+      if (e.target.closest('.cc-copy-menu') && e.key === 'Escape') {
+        // Close the menu without closing the tooltip
+        e.stopPropagation();
+        state.element?.querySelector('.cc-copy-menu-button')?.focus();
+        toggleCopyMenu(false);
+        return;
+      }
+
+      const targetOption = e.target.closest('.cc-target-option');
+      if (targetOption && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        chooseTargetCurrency(targetOption.dataset.currency);
+        return;
+      }
+
+      const originalValueEl = e.target.closest('.cc-original-value');
+      if (originalValueEl && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        startAmountEdit(originalValueEl);
+        return;
+      }
+
       const pill = e.target.closest('.cc-currency-pill');
       if (!pill) return;
       if (e.key === 'Enter' || e.key === ' ') {
@@ -224,6 +805,7 @@ var CurrencyTooltip = (() => {
 
     // Update state
     state.data = data;
+    state.theme = theme;
     state.formattedAmount = formatCurrencyLabel(
       data.convertedAmount,
       data.targetCurrency,
@@ -260,11 +842,22 @@ var CurrencyTooltip = (() => {
     tooltip.innerHTML = `
       <div class="cc-tooltip-content">
         ${headerHtml}
-        <div class="cc-original-value">${originalText}</div>
+        <div class="cc-original-value" role="button" tabindex="0" title="Edit amount, e.g. 49.99*3">${escapeHtml(originalText)}</div>
         <div class="cc-value-container">
           <span class="cc-value">${displayText}</span>
         </div>
-        <button type="button" class="cc-copy-button" aria-label="Copy converted value">Copy</button>
+        <div class="cc-fee-note">${escapeHtml(formatFeeNote(data))}</div>
+        ${buildTargetHtml(data)}
+        ${buildSecondaryHtml(data)}
+        ${buildSparklineHtml(data)}
+        ${buildRateDateHtml(data)}
+        <div class="cc-actions">
+          <div class="cc-copy-group">
+            <button type="button" class="cc-copy-button" aria-label="Copy converted value">Copy</button>
+            ${buildCopyMenuHtml(data)}
+          </div>
+          <button type="button" class="cc-pin-button" aria-label="Pin this conversion to the page">Pin</button>
+        </div>
       </div>
     `;
 
@@ -338,10 +931,41 @@ var CurrencyTooltip = (() => {
       data.compact,
     );
     const originalValueEl = state.element.querySelector('.cc-original-value');
-    if (originalValueEl) {
+    if (originalValueEl && !originalValueEl.querySelector('.cc-amount-input')) {
       originalValueEl.textContent = originalFormatted;
     }
 
+    const feeNoteEl = state.element.querySelector('.cc-fee-note');
+    if (feeNoteEl) {
+      feeNoteEl.textContent = formatFeeNote(data);
+    }
+
+    const targetRowEl = state.element.querySelector('.cc-target-row');
+    const targetPickerEl = state.element.querySelector('.cc-target-picker');
+    if (targetRowEl && targetPickerEl && !targetPickerEl.contains(document.activeElement)) {
+      targetPickerEl.remove();
+      targetRowEl.outerHTML = buildTargetHtml(data);
+    }
+
+    const secondaryListEl = state.element.querySelector('.cc-secondary-list');
+    if (secondaryListEl) {
+      secondaryListEl.outerHTML = buildSecondaryHtml(data);
+    }
+
+    const sparklineEl = state.element.querySelector('.cc-sparkline-row');
+    if (sparklineEl) {
+      sparklineEl.outerHTML = buildSparklineHtml(data);
+    }
+
+    const dateInput = state.element.querySelector('.cc-date-input');
+    if (dateInput && dateInput !== document.activeElement) {
+      dateInput.value = data.asOf || data.rateDate || '';
+    }
+    const rateDateEl = state.element.querySelector('.cc-rate-date');
+    if (rateDateEl) {
+      rateDateEl.textContent = formatRateDateNote(data);
+    }
+
     // Animate value transition
     const newText = state.formattedAmount;
     const valueContainer = state.element.querySelector('.cc-value-container');
@@ -388,11 +1012,171 @@ var CurrencyTooltip = (() => {
     newValueEl.classList.add('cc-value-active');
   }
 
+  /**
+   * Keep a card of the given size inside the viewport.
+   * @returns {{ left: number, top: number }}
+   */
+  function clampCardPosition(left, top, width, height, viewportWidth, viewportHeight) {
+    const maxLeft = Math.max(VIEWPORT_MARGIN, viewportWidth - width - VIEWPORT_MARGIN);
+    const maxTop = Math.max(VIEWPORT_MARGIN, viewportHeight - height - VIEWPORT_MARGIN);
+    return {
+      left: Math.min(Math.max(left, VIEWPORT_MARGIN), maxLeft),
+      top: Math.min(Math.max(top, VIEWPORT_MARGIN), maxTop),
+    };
+  }
+
+  function moveCard(card, left, top) {
+    const position = clampCardPosition(
+      left,
+      top,
+      card.offsetWidth,
+      card.offsetHeight,
+      document.documentElement.clientWidth,
+      document.documentElement.clientHeight,
+    );
+    card.style.left = `${position.left}px`;
+    card.style.top = `${position.top}px`;
+  }
+
+  /**
+   * Let a pinned card be dragged by any part that is not a button.
+   */
+  function startCardDrag(card, e) {
+    const rect = card.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+
+    const onMove = (moveEvent) => {
+      moveCard(card, moveEvent.clientX - offsetX, moveEvent.clientY - offsetY);
+    };
+    const onEnd = () => {
+      card.classList.remove('cc-dragging');
+      card.removeEventListener('pointermove', onMove);
+      card.removeEventListener('pointerup', onEnd);
+      card.removeEventListener('pointercancel', onEnd);
+    };
+
+    e.preventDefault();
+    card.setPointerCapture(e.pointerId);
+    card.classList.add('cc-dragging');
+    card.addEventListener('pointermove', onMove);
+    card.addEventListener('pointerup', onEnd);
+    card.addEventListener('pointercancel', onEnd);
+  }
+
+  /**
+   * Fixed layer holding the pinned cards and the clear-all control.
+   * Created with the first pinned card and removed with the last one.
+   */
+  function getPinnedLayer() {
+    const existing = document.getElementById(PINNED_LAYER_ID);
+    if (existing) return existing;
+
+    const layer = document.createElement('div');
+    layer.id = PINNED_LAYER_ID;
+    layer.innerHTML = '<button type="button" class="cc-clear-pinned">Clear pinned</button>';
+
+    layer.addEventListener('click', async (e) => {
+      if (e.target.closest('.cc-clear-pinned')) {
+        clearPinned();
+        return;
+      }
+
+      const card = e.target.closest('.cc-pinned-card');
+      if (!card) return;
+
+      if (e.target.closest('.cc-unpin-button')) {
+        card.remove();
+        if (!layer.querySelector('.cc-pinned-card')) layer.remove();
+        return;
+      }
+
+      const copyButton = e.target.closest('.cc-copy-button');
+      if (copyButton) {
+        showCopyResult(copyButton, await copyValue(pinnedData.get(card), copyButton.dataset.target));
+      }
+    });
+
+    layer.addEventListener('pointerdown', (e) => {
+      const card = e.target.closest('.cc-pinned-card');
+      if (card && e.button === 0 && !e.target.closest('button')) startCardDrag(card, e);
+    });
+
+    // Pinned cards must not close the live tooltip or start a page selection
+    layer.addEventListener('mousedown', (e) => e.stopPropagation());
+
+    document.body.appendChild(layer);
+    return layer;
+  }
+
+  /**
+   * Build the read-only card a pinned conversion becomes.
+   */
+  function buildPinnedCard(data, theme) {
+    const converted = formatCurrencyLabel(
+      data.convertedAmount,
+      data.targetCurrency,
+      data.outputFormat,
+      data.negativeStyle,
+      data.compact,
+    );
+    const original = formatCurrencyLabel(
+      data.originalAmount,
+      data.originalCurrency,
+      data.outputFormat,
+      data.negativeStyle,
+      data.compact,
+    );
+    const asOf = data.asOf || data.rateDate;
+    const rateNote = [asOf ? `Rates as of ${asOf}` : '', formatRateDateNote(data)].filter(Boolean).join(' · ');
+
+    const card = document.createElement('div');
+    card.className = `cc-pinned-card cc-theme-${resolveTheme(theme)}`;
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-label', `Pinned conversion: ${original} is ${converted}`);
+    card.innerHTML = `
+      <div class="cc-pinned-header">
+        <span class="cc-pinned-original">${escapeHtml(original)}</span>
+        <button type="button" class="cc-unpin-button" aria-label="Unpin this conversion">×</button>
+      </div>
+      <div class="cc-pinned-value">${escapeHtml(converted)}</div>
+      <div class="cc-fee-note">${escapeHtml(formatFeeNote(data))}</div>
+      ${buildSecondaryHtml(data)}
+      <div class="cc-pinned-date">${escapeHtml(rateNote)}</div>
+      <button type="button" class="cc-copy-button" aria-label="Copy converted value">Copy</button>
+    `;
+    pinnedData.set(card, data);
+    return card;
+  }
+
+  /**
+   * Detach the current conversion into a draggable card that stays on screen
+   * through selection changes and scrolling. Several cards can be pinned.
+   */
+  function pin() {
+    if (!state.element || !state.data) return;
+
+    const rect = state.element.getBoundingClientRect();
+    const card = buildPinnedCard(state.data, state.theme);
+    getPinnedLayer().appendChild(card);
+    moveCard(card, rect.left, rect.top);
+    remove();
+  }
+
+  /**
+   * Remove every pinned card.
+   */
+  function clearPinned() {
+    document.getElementById(PINNED_LAYER_ID)?.remove();
+  }
+
   /**
    * Remove the tooltip and clean up all associated state.
    */
   function remove() {
     cleanupHandlers();
+    clearTimeout(state.amountTimer);
+    state.amountTimer = null;
     if (state.element && state.element.parentNode) {
       state.element.remove();
     }
@@ -408,5 +1192,32 @@ var CurrencyTooltip = (() => {
     return !!state.element;
   }
 
-  return { show, update, remove, isVisible, copyValue, shouldAnimate };
+  /**
+   * Whether focus is inside the tooltip, e.g. on its date field.
+   * Focusing a field moves the page selection, which must not close the tooltip.
+   */
+  function hasFocus() {
+    return !!state.element && state.element.contains(document.activeElement);
+  }
+
+  return {
+    setCustomCurrencies,
+    show,
+    update,
+    remove,
+    pin,
+    clearPinned,
+    isVisible,
+    hasFocus,
+    copyValue,
+    formatCopyText,
+    shouldAnimate,
+    formatRateDateNote,
+    formatFeeNote,
+    buildSparklinePoints,
+    formatRateChange,
+    evaluateAmountExpression,
+    getTargetOptions,
+    clampCardPosition,
+  };
 })();
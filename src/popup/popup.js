@@ -14,12 +14,48 @@ document.addEventListener('DOMContentLoaded', async () => {
     const defaultKrCurrency = document.getElementById('defaultKrCurrency');
     const numberFormat = document.getElementById('numberFormat');
     const outputFormat = document.getElementById('outputFormat');
+    const roundingMode = document.getElementById('roundingMode');
+    const copyFormat = document.getElementById('copyFormat');
     const disableAnimations = document.getElementById('disableAnimations');
+    const backupRateProvider = document.getElementById('backupRateProvider');
+    const customCurrencyList = document.getElementById('customCurrencyList');
+    const customCurrenciesEmpty = document.getElementById('customCurrenciesEmpty');
+    const customCurrencyForm = document.getElementById('customCurrencyForm');
+    const customCurrencyCode = document.getElementById('customCurrencyCode');
+    const customCurrencyName = document.getElementById('customCurrencyName');
+    const customCurrencySymbol = document.getElementById('customCurrencySymbol');
+    const customCurrencyBase = document.getElementById('customCurrencyBase');
+    const customCurrencyRate = document.getElementById('customCurrencyRate');
+    const feeMarkupPercent = document.getElementById('feeMarkupPercent');
+    const feeOverrideList = document.getElementById('feeOverrideList');
+    const feeOverrideForm = document.getElementById('feeOverrideForm');
+    const feeOverrideCurrency = document.getElementById('feeOverrideCurrency');
+    const feeOverridePercent = document.getElementById('feeOverridePercent');
+    const secondaryTargetList = document.getElementById('secondaryTargetList');
+    const secondaryTargetsEmpty = document.getElementById('secondaryTargetsEmpty');
+    const secondaryTargetForm = document.getElementById('secondaryTargetForm');
+    const secondaryTargetCurrency = document.getElementById('secondaryTargetCurrency');
+    const rateAlertList = document.getElementById('rateAlertList');
+    const rateAlertsEmpty = document.getElementById('rateAlertsEmpty');
+    const rateAlertForm = document.getElementById('rateAlertForm');
+    const rateAlertFrom = document.getElementById('rateAlertFrom');
+    const rateAlertTo = document.getElementById('rateAlertTo');
+    const rateAlertType = document.getElementById('rateAlertType');
+    const rateAlertValue = document.getElementById('rateAlertValue');
     const lastSynced = document.getElementById('lastSynced');
     const syncBtn = document.getElementById('syncBtn');
+    const openSidePanelBtn = document.getElementById('openSidePanelBtn');
     const msgLog = document.getElementById('msgLog');
     const disabledSitesList = document.getElementById('disabledSitesList');
     const disabledSitesEmpty = document.getElementById('disabledSitesEmpty');
+    const exportSettingsBtn = document.getElementById('exportSettingsBtn');
+    const importSettingsBtn = document.getElementById('importSettingsBtn');
+    const importSettingsFile = document.getElementById('importSettingsFile');
+    const importPreview = document.getElementById('importPreview');
+    const importPreviewSummary = document.getElementById('importPreviewSummary');
+    const importPreviewList = document.getElementById('importPreviewList');
+    const importApplyBtn = document.getElementById('importApplyBtn');
+    const importCancelBtn = document.getElementById('importCancelBtn');
 
     // Site Toggle Elements
     const siteToggleContainer = document.getElementById('siteToggleContainer');
@@ -30,9 +66,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     let currentSiteDisabled = false;
 
     // Load Settings
-    const data = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-    const settings = { ...DEFAULT_SETTINGS, ...data[STORAGE_KEYS.SETTINGS] };
+    const settings = await loadSettings();
     let selectedTargetCurrency = settings.targetCurrency;
+    let customCurrencies = normalizeCustomCurrencies(settings.customCurrencies);
+    let feeMarkupByCurrency = { ...settings.feeMarkupByCurrency };
+    let secondaryTargets = normalizeSecondaryTargets(
+        settings.secondaryTargetCurrencies,
+        selectedTargetCurrency,
+        customCurrencies,
+    );
+    let rateAlerts = normalizeRateAlerts(settings.rateAlerts, customCurrencies);
+    let alertLog = [];
+    let pendingImport = null;
     populateCurrencyDropdown(targetCurrency, '', selectedTargetCurrency);
 
     // Apply UI State
@@ -56,12 +101,41 @@ document.addEventListener('DOMContentLoaded', async () => {
     defaultKrCurrency.value = settings.defaultKrCurrency;
     numberFormat.value = settings.numberFormat;
     outputFormat.value = settings.outputFormat;
+    roundingMode.value = ROUNDING_MODES.includes(settings.roundingMode)
+        ? settings.roundingMode
+        : DEFAULT_SETTINGS.roundingMode;
+    copyFormat.value = Object.hasOwn(COPY_FORMATS, settings.copyFormat)
+        ? settings.copyFormat
+        : DEFAULT_SETTINGS.copyFormat;
     disableAnimations.checked = settings.disableAnimations;
     applyAnimationsPreference(settings.disableAnimations);
+    backupRateProvider.value = settings.rateProviders.find(id => id !== 'ecb') || '';
+    ECB_CURRENCIES.forEach((code) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = code;
+        customCurrencyBase.appendChild(option);
+    });
+    customCurrencyBase.value = 'USD';
+    renderCustomCurrencies();
+    feeMarkupPercent.value = normalizeFeeMarkup(settings.feeMarkupPercent) || '';
+    renderFeeOverrides();
+    renderSecondaryTargets();
 
     // Load last sync time from local storage (where rates are cached)
-    const ratesData = await chrome.storage.local.get(STORAGE_KEYS.RATES_TIMESTAMP);
-    updateLastSyncedTime(ratesData[STORAGE_KEYS.RATES_TIMESTAMP]);
+    const ratesData = await chrome.storage.local.get([
+        STORAGE_KEYS.RATES_TIMESTAMP,
+        STORAGE_KEYS.RATES_PROVIDER,
+        STORAGE_KEYS.RATES_DATE,
+        STORAGE_KEYS.ALERT_LOG,
+    ]);
+    alertLog = Array.isArray(ratesData[STORAGE_KEYS.ALERT_LOG]) ? ratesData[STORAGE_KEYS.ALERT_LOG] : [];
+    renderRateAlerts();
+    updateLastSyncedTime(
+        ratesData[STORAGE_KEYS.RATES_TIMESTAMP],
+        ratesData[STORAGE_KEYS.RATES_PROVIDER],
+        ratesData[STORAGE_KEYS.RATES_DATE],
+    );
 
     // Event Listeners
 
@@ -93,6 +167,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         saveSetting('targetCurrency', selectedTargetCurrency);
         currencySearch.value = '';
         populateCurrencyDropdown(targetCurrency, '', selectedTargetCurrency);
+        syncSecondaryTargets();
     });
     currencySearch.addEventListener('input', (e) => {
         const autoSelectedCode = populateCurrencyDropdown(
@@ -103,6 +178,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (autoSelectedCode && autoSelectedCode !== selectedTargetCurrency) {
             selectedTargetCurrency = autoSelectedCode;
             saveSetting('targetCurrency', selectedTargetCurrency);
+            syncSecondaryTargets();
         }
     });
     defaultDollarCurrency.addEventListener('change', (e) => saveSetting('defaultDollarCurrency', e.target.value));
@@ -110,10 +186,101 @@ document.addEventListener('DOMContentLoaded', async () => {
     defaultKrCurrency.addEventListener('change', (e) => saveSetting('defaultKrCurrency', e.target.value));
     numberFormat.addEventListener('change', (e) => saveSetting('numberFormat', e.target.value));
     outputFormat.addEventListener('change', (e) => saveSetting('outputFormat', e.target.value));
+    roundingMode.addEventListener('change', (e) => saveSetting('roundingMode', e.target.value));
+    copyFormat.addEventListener('change', (e) => saveSetting('copyFormat', e.target.value));
     disableAnimations.addEventListener('change', () => {
         applyAnimationsPreference(disableAnimations.checked);
         saveSetting('disableAnimations', disableAnimations.checked);
     });
+    backupRateProvider.addEventListener('change', (e) => {
+        saveSetting('rateProviders', e.target.value ? ['ecb', e.target.value] : ['ecb']);
+    });
+    customCurrencyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = customCurrencyCode.value.trim().toUpperCase();
+        if (ECB_CURRENCIES.includes(code)) {
+            showMsg(`${code} already uses ECB rates.`);
+            return;
+        }
+
+        const updated = normalizeCustomCurrencies([
+            ...customCurrencies.filter(entry => entry.code !== code),
+            {
+                code,
+                name: customCurrencyName.value,
+                symbol: customCurrencySymbol.value,
+                base: customCurrencyBase.value,
+                rate: customCurrencyRate.value,
+            },
+        ]);
+        if (!updated.some(entry => entry.code === code)) {
+            showMsg(customCurrencies.length >= LIMITS.MAX_CUSTOM_CURRENCIES
+                ? 'Too many custom currencies.'
+                : 'Enter a 3-letter code and a positive rate.');
+            return;
+        }
+
+        customCurrencyForm.reset();
+        customCurrencyBase.value = 'USD';
+        saveCustomCurrencies(updated);
+    });
+    feeMarkupPercent.addEventListener('change', (e) => {
+        const percent = normalizeFeeMarkup(e.target.value);
+        e.target.value = percent || '';
+        saveSetting('feeMarkupPercent', percent);
+    });
+    feeOverrideForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const percent = Number(feeOverridePercent.value);
+        if (feeOverridePercent.value === '' || normalizeFeeMarkup(percent) !== percent) {
+            showMsg(`Enter a fee between 0 and ${LIMITS.MAX_FEE_MARKUP_PERCENT}%.`);
+            return;
+        }
+
+        feeMarkupByCurrency = { ...feeMarkupByCurrency, [feeOverrideCurrency.value]: percent };
+        feeOverridePercent.value = '';
+        saveSetting('feeMarkupByCurrency', feeMarkupByCurrency);
+        renderFeeOverrides();
+    });
+
+    secondaryTargetForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (secondaryTargets.length >= LIMITS.MAX_SECONDARY_TARGETS) {
+            showMsg(`Add up to ${LIMITS.MAX_SECONDARY_TARGETS} more currencies.`);
+            return;
+        }
+        saveSecondaryTargets([...secondaryTargets, secondaryTargetCurrency.value]);
+    });
+    rateAlertType.addEventListener('change', () => {
+        rateAlertValue.placeholder = rateAlertType.value === 'change' ? '%' : 'Rate';
+    });
+    rateAlertForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const rule = {
+            from: rateAlertFrom.value,
+            to: rateAlertTo.value,
+            type: rateAlertType.value,
+            value: rateAlertValue.value,
+        };
+        const [added] = normalizeRateAlerts([rule], customCurrencies);
+        if (!added) {
+            showMsg(rule.from === rule.to
+                ? 'Pick two different currencies.'
+                : 'Enter a positive rate, or a move of up to 100%.');
+            return;
+        }
+        if (rateAlerts.some(existing => existing.id === added.id)) {
+            showMsg('That alert already exists.');
+            return;
+        }
+        if (rateAlerts.length >= LIMITS.MAX_RATE_ALERTS) {
+            showMsg('Too many rate alerts.');
+            return;
+        }
+
+        rateAlertValue.value = '';
+        saveRateAlerts([...rateAlerts, added]);
+    });
 
     // 4. Sync Button
     syncBtn.addEventListener('click', async () => {
@@ -121,9 +288,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         syncBtn.disabled = true;
 
         try {
-            const response = await chrome.runtime.sendMessage({ type: 'manual-sync' });
+            const response = await chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.MANUAL_SYNC));
             if (response && response.status === 'success') {
-                updateLastSyncedTime(response.timestamp);
+                updateLastSyncedTime(response.timestamp, response.provider, response.rateDate);
                 showMsg('Rates updated!');
                 // Note: Timestamp is stored in local storage by service worker, not in sync settings
             } else if (response && response.status === 'rate-limited') {
@@ -140,6 +307,63 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // 5. Side panel with the quick converter and conversion history
+    // The window is looked up in advance: sidePanel.open() must run straight from the click
+    const popupWindow = await chrome.windows.getCurrent();
+    openSidePanelBtn.addEventListener('click', async () => {
+        try {
+            await chrome.sidePanel.open({ windowId: popupWindow.id });
+            window.close();
+        } catch (err) {
+            console.error(err);
+            showMsg('Could not open the side panel.');
+        }
+    });
+
+    // 6. Settings files
+    exportSettingsBtn.addEventListener('click', async () => {
+        const stored = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+        const file = new Blob([createSettingsExport(stored[STORAGE_KEYS.SETTINGS])], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(file);
+        link.download = `currency-converter-settings-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    importSettingsBtn.addEventListener('click', () => importSettingsFile.click());
+    importSettingsFile.addEventListener('change', async () => {
+        const [file] = importSettingsFile.files;
+        // Let the same file be picked again after it is fixed
+        importSettingsFile.value = '';
+        if (!file) return;
+        if (file.size > LIMITS.MAX_SETTINGS_FILE_BYTES) {
+            showMsg('That file is too large for settings.');
+            return;
+        }
+
+        const stored = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+        const prepared = prepareSettingsImport(await file.text(), stored[STORAGE_KEYS.SETTINGS]);
+        if (prepared.settings && !prepared.changes.length) {
+            closeImportPreview();
+            showMsg('The file matches your settings.');
+            return;
+        }
+        pendingImport = prepared;
+        renderImportPreview(file.name);
+    });
+    importApplyBtn.addEventListener('click', async () => {
+        if (!pendingImport || !pendingImport.settings) return;
+        try {
+            await chrome.storage.sync.set({ [STORAGE_KEYS.SETTINGS]: pendingImport.settings });
+            // Every control reads its value on load
+            window.location.reload();
+        } catch (err) {
+            console.error(err);
+            showMsg('Could not save the imported settings.');
+        }
+    });
+    importCancelBtn.addEventListener('click', closeImportPreview);
+
     // Helpers - Debounced settings save to prevent race conditions
     const pendingChanges = {};
     let saveDebounceTimer = null;
@@ -153,8 +377,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             // Clear pending before async operation
             Object.keys(pendingChanges).forEach(k => delete pendingChanges[k]);
 
-            const current = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-            const newSettings = { ...DEFAULT_SETTINGS, ...current[STORAGE_KEYS.SETTINGS], ...changesToSave };
+            const newSettings = { ...await loadSettings(), ...changesToSave };
             await chrome.storage.sync.set({ [STORAGE_KEYS.SETTINGS]: newSettings });
         }, 100);
     }
@@ -200,8 +423,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             enableButton.className = 'disabled-site-enable';
             enableButton.textContent = 'Enable';
             enableButton.addEventListener('click', async () => {
-                const freshData = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-                const freshSettings = { ...DEFAULT_SETTINGS, ...freshData[STORAGE_KEYS.SETTINGS] };
+                const freshSettings = await loadSettings();
                 await saveDisabledDomains(
                     (freshSettings.disabledDomains || []).filter((entry) => entry !== domain),
                 );
@@ -214,8 +436,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     async function saveDisabledDomains(domains) {
         const cleanedDomains = [...new Set(domains || [])].sort();
-        const freshData = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-        const freshSettings = { ...DEFAULT_SETTINGS, ...freshData[STORAGE_KEYS.SETTINGS] };
+        const freshSettings = await loadSettings();
         await chrome.storage.sync.set({
             [STORAGE_KEYS.SETTINGS]: {
                 ...freshSettings,
@@ -230,8 +451,258 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    function renderImportPreview(fileName) {
+        const { settings: imported, changes, problems } = pendingImport;
+        importPreviewSummary.textContent = imported
+            ? `${fileName} changes ${changes.length} ${changes.length === 1 ? 'setting' : 'settings'}:`
+            : `${fileName} cannot be imported:`;
+        importApplyBtn.hidden = !imported;
+        importPreviewList.textContent = '';
+
+        const lines = imported
+            ? changes.map(({ key, from, to }) => `${key}: ${formatSettingValue(from)} → ${formatSettingValue(to)}`)
+            : problems;
+        lines.forEach((line) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-row';
+
+            const label = document.createElement('span');
+            label.textContent = line;
+            label.title = line;
+
+            item.appendChild(label);
+            importPreviewList.appendChild(item);
+        });
+        importPreview.hidden = false;
+    }
+
+    function closeImportPreview() {
+        pendingImport = null;
+        importPreview.hidden = true;
+    }
+
+    function formatSettingValue(value) {
+        if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+            return value.length ? value.join(', ') : 'none';
+        }
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    function saveCustomCurrencies(list) {
+        customCurrencies = list;
+        saveSetting('customCurrencies', list);
+        renderCustomCurrencies();
+
+        // A removed custom currency cannot stay the conversion target
+        if (!getCurrencyNames(list)[selectedTargetCurrency]) {
+            selectedTargetCurrency = DEFAULT_SETTINGS.targetCurrency;
+            saveSetting('targetCurrency', selectedTargetCurrency);
+        }
+        populateCurrencyDropdown(targetCurrency, currencySearch.value, selectedTargetCurrency);
+        renderFeeOverrides();
+        syncSecondaryTargets();
+
+        // Alerts on a removed custom currency can no longer be evaluated
+        const remainingAlerts = normalizeRateAlerts(rateAlerts, list);
+        if (remainingAlerts.length !== rateAlerts.length) {
+            saveRateAlerts(remainingAlerts);
+        } else {
+            renderRateAlerts();
+        }
+    }
+
+    function saveSecondaryTargets(list) {
+        secondaryTargets = normalizeSecondaryTargets(list, selectedTargetCurrency, customCurrencies);
+        saveSetting('secondaryTargetCurrencies', secondaryTargets);
+        renderSecondaryTargets();
+    }
+
+    // The primary target or a removed custom currency cannot stay a secondary target
+    function syncSecondaryTargets() {
+        const valid = normalizeSecondaryTargets(secondaryTargets, selectedTargetCurrency, customCurrencies);
+        if (valid.length !== secondaryTargets.length) {
+            saveSecondaryTargets(valid);
+        } else {
+            renderSecondaryTargets();
+        }
+    }
+
+    function renderSecondaryTargets() {
+        const currencyNames = getCurrencyNames(customCurrencies);
+        const available = Object.keys(currencyNames)
+            .sort()
+            .filter(code => code !== selectedTargetCurrency && !secondaryTargets.includes(code));
+        const selectedCode = secondaryTargetCurrency.value;
+        secondaryTargetCurrency.textContent = '';
+        available.forEach((code) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${code} - ${currencyNames[code]}`;
+            secondaryTargetCurrency.appendChild(option);
+        });
+        if (available.includes(selectedCode)) secondaryTargetCurrency.value = selectedCode;
+
+        secondaryTargetList.textContent = '';
+        secondaryTargetsEmpty.hidden = secondaryTargets.length > 0;
+
+        secondaryTargets.forEach((code) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-row';
+
+            const label = document.createElement('span');
+            label.textContent = `${code} - ${currencyNames[code]}`;
+            label.title = label.textContent;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'settings-list-remove';
+            removeButton.textContent = 'Remove';
+            removeButton.setAttribute('aria-label', `Stop converting to ${code}`);
+            removeButton.addEventListener('click', () => {
+                saveSecondaryTargets(secondaryTargets.filter(other => other !== code));
+            });
+
+            item.append(label, removeButton);
+            secondaryTargetList.appendChild(item);
+        });
+    }
+
+    function saveRateAlerts(list) {
+        rateAlerts = list;
+        // Ids are derived from the rule, so only the rule itself is stored
+        saveSetting('rateAlerts', list.map(({ from, to, type, value }) => ({ from, to, type, value })));
+        renderRateAlerts();
+    }
+
+    function describeRateAlert(rule) {
+        const pair = `${rule.from}/${rule.to}`;
+        if (rule.type === 'change') return `${pair} moves ${rule.value}%`;
+        return `${pair} ${rule.type === 'above' ? 'rises above' : 'falls below'} ${rule.value}`;
+    }
+
+    function renderRateAlerts() {
+        const codes = Object.keys(getCurrencyNames(customCurrencies)).sort();
+        [[rateAlertFrom, 'EUR'], [rateAlertTo, selectedTargetCurrency === 'EUR' ? 'USD' : selectedTargetCurrency]]
+            .forEach(([select, fallback]) => {
+                const selectedCode = select.value || fallback;
+                select.textContent = '';
+                codes.forEach((code) => {
+                    const option = document.createElement('option');
+                    option.value = code;
+                    option.textContent = code;
+                    select.appendChild(option);
+                });
+                select.value = codes.includes(selectedCode) ? selectedCode : 'EUR';
+            });
+
+        rateAlertList.textContent = '';
+        rateAlertsEmpty.hidden = rateAlerts.length > 0;
+
+        rateAlerts.forEach((rule) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-row';
+
+            const label = document.createElement('span');
+            label.textContent = describeRateAlert(rule);
+            label.title = label.textContent;
+
+            // The log is newest first
+            const lastFired = alertLog.find(entry => entry.ruleId === rule.id);
+            const status = document.createElement('small');
+            if (lastFired) {
+                status.textContent = `Fired ${formatRateDate(lastFired.timestamp.slice(0, 10))}`;
+                status.title = `1 ${rule.from} = ${Number(lastFired.rate.toPrecision(6))} ${rule.to}`;
+            }
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'settings-list-remove';
+            removeButton.textContent = 'Remove';
+            removeButton.setAttribute('aria-label', `Remove the ${describeRateAlert(rule)} alert`);
+            removeButton.addEventListener('click', () => {
+                saveRateAlerts(rateAlerts.filter(other => other.id !== rule.id));
+            });
+
+            item.append(label, status, removeButton);
+            rateAlertList.appendChild(item);
+        });
+    }
+
+    function renderCustomCurrencies() {
+        customCurrencyList.textContent = '';
+        customCurrenciesEmpty.hidden = customCurrencies.length > 0;
+
+        customCurrencies.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-row';
+
+            const label = document.createElement('span');
+            label.textContent = entry.symbol
+                ? `${entry.code} (${entry.symbol}) - ${entry.name}`
+                : `${entry.code} - ${entry.name}`;
+            label.title = label.textContent;
+
+            const peg = document.createElement('small');
+            peg.textContent = `1 ${entry.base} = ${entry.rate}`;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'settings-list-remove';
+            removeButton.textContent = 'Remove';
+            removeButton.setAttribute('aria-label', `Remove ${entry.code}`);
+            removeButton.addEventListener('click', () => {
+                saveCustomCurrencies(customCurrencies.filter(other => other.code !== entry.code));
+            });
+
+            item.append(label, peg, removeButton);
+            customCurrencyList.appendChild(item);
+        });
+    }
+
+    function renderFeeOverrides() {
+        const currencyNames = getCurrencyNames(customCurrencies);
+        const selectedCode = feeOverrideCurrency.value || selectedTargetCurrency;
+        feeOverrideCurrency.textContent = '';
+        Object.keys(currencyNames).sort().forEach((code) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = code;
+            feeOverrideCurrency.appendChild(option);
+        });
+        feeOverrideCurrency.value = currencyNames[selectedCode] ? selectedCode : DEFAULT_SETTINGS.targetCurrency;
+
+        feeOverrideList.textContent = '';
+        Object.keys(feeMarkupByCurrency).sort().forEach((code) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-row';
+
+            const label = document.createElement('span');
+            label.textContent = currencyNames[code] ? `${code} - ${currencyNames[code]}` : code;
+            label.title = label.textContent;
+
+            const percent = document.createElement('small');
+            percent.textContent = `${feeMarkupByCurrency[code]}%`;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'settings-list-remove';
+            removeButton.textContent = 'Remove';
+            removeButton.setAttribute('aria-label', `Remove the ${code} markup`);
+            removeButton.addEventListener('click', () => {
+                const { [code]: removed, ...rest } = feeMarkupByCurrency;
+                feeMarkupByCurrency = rest;
+                saveSetting('feeMarkupByCurrency', feeMarkupByCurrency);
+                renderFeeOverrides();
+            });
+
+            item.append(label, percent, removeButton);
+            feeOverrideList.appendChild(item);
+        });
+    }
+
     function populateCurrencyDropdown(select, query, selectedCode) {
-        const state = getCurrencySearchState(query, selectedCode);
+        const currencyNames = getCurrencyNames(customCurrencies);
+        const state = getCurrencySearchState(query, selectedCode, currencyNames);
         const { codes, autoSelectedCode } = state;
         select.textContent = '';
 
@@ -249,7 +720,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         codes.forEach(code => {
             const option = document.createElement('option');
             option.value = code;
-            option.textContent = `${code} - ${CURRENCY_NAMES[code]}`;
+            option.textContent = `${code} - ${currencyNames[code]}`;
             select.appendChild(option);
         });
 
@@ -259,13 +730,30 @@ document.addEventListener('DOMContentLoaded', async () => {
         return autoSelectedCode;
     }
 
-    function updateLastSyncedTime(timestamp) {
+    function updateLastSyncedTime(timestamp, provider, rateDate) {
         if (!timestamp) {
-            lastSynced.textContent = 'Synced: Never';
+            // Nothing fetched yet: conversions use the snapshot shipped with the extension
+            lastSynced.textContent = `Bundled rates of ${formatRateDate(SEED_RATES.date)}`;
+            lastSynced.title = 'Rates have not been downloaded yet. Conversions use the rates bundled with the extension.';
             return;
         }
         const date = new Date(timestamp);
-        lastSynced.textContent = `Synced: ${date.toLocaleTimeString()} ${date.toLocaleDateString()}`;
+        const source = RATE_PROVIDER_NAMES[provider] || RATE_PROVIDER_NAMES.ecb;
+        const syncedTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        lastSynced.textContent = rateDate
+            ? `Synced ${syncedTime} · rates of ${formatRateDate(rateDate)}`
+            : `Synced: ${date.toLocaleTimeString()} ${date.toLocaleDateString()}`;
+        lastSynced.title = `Rates from ${source}, synced ${date.toLocaleString()}`;
+    }
+
+    // Rate dates are calendar days, so format them in UTC to avoid shifting a day.
+    function formatRateDate(rateDate) {
+        return new Date(`${rateDate}T00:00:00Z`).toLocaleDateString([], {
+            timeZone: 'UTC',
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+        });
     }
 
     function showMsg(text) {
@@ -300,8 +788,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Click Handler
         siteToggleBtn.addEventListener('click', async () => {
             // Re-fetch latest settings to avoid race conditions
-            const freshData = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-            const freshSettings = { ...DEFAULT_SETTINGS, ...freshData[STORAGE_KEYS.SETTINGS] };
+            const freshSettings = await loadSettings();
             let currentList = freshSettings.disabledDomains || [];
 
             if (currentSiteDisabled) {
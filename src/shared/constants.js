@@ -175,6 +175,71 @@ var CURRENCY_CODE_TO_SYMBOL = {
 
 var ECB_CURRENCIES = Object.keys(CURRENCY_NAMES);
 
+/**
+ * Validate user-defined currencies from settings.customCurrencies.
+ * Each entry pegs a currency the ECB does not publish to one it does:
+ * 1 `base` = `rate` `code` (e.g. 1 USD = 3.6725 AED). Invalid entries, codes
+ * that shadow an ECB currency, and duplicate codes are dropped.
+ *
+ * @param {Object[]} customCurrencies - Raw { code, name, symbol, base, rate } entries
+ * @returns {{ code: string, name: string, symbol: string, base: string, rate: number }[]}
+ */
+function normalizeCustomCurrencies(customCurrencies) {
+  if (!Array.isArray(customCurrencies)) return [];
+
+  const seen = new Set();
+  return customCurrencies.reduce((result, entry) => {
+    const code = String(entry?.code || '').trim().toUpperCase();
+    const base = String(entry?.base || 'EUR').trim().toUpperCase();
+    const rate = Number(entry?.rate);
+    if (
+      !/^[A-Z]{3}$/.test(code) ||
+      ECB_CURRENCIES.includes(code) ||
+      seen.has(code) ||
+      !ECB_CURRENCIES.includes(base) ||
+      !Number.isFinite(rate) ||
+      rate <= 0 ||
+      result.length >= LIMITS.MAX_CUSTOM_CURRENCIES
+    ) {
+      return result;
+    }
+
+    seen.add(code);
+    const symbol = String(entry?.symbol || '').trim();
+    result.push({
+      code,
+      name: String(entry?.name || '').trim().slice(0, 40) || code,
+      symbol: symbol.length <= 4 && !/\d/.test(symbol) ? symbol : '',
+      base,
+      rate,
+    });
+    return result;
+  }, []);
+}
+
+/**
+ * Currency names including custom currencies, for pickers and search.
+ */
+function getCurrencyNames(customCurrencies) {
+  const names = { ...CURRENCY_NAMES };
+  normalizeCustomCurrencies(customCurrencies).forEach(({ code, name }) => {
+    names[code] = name;
+  });
+  return names;
+}
+
+/**
+ * Symbol -> [ISO codes] map including custom currency symbols.
+ */
+function getCurrencySymbols(customCurrencies) {
+  const symbols = { ...CURRENCY_SYMBOLS };
+  normalizeCustomCurrencies(customCurrencies).forEach(({ code, symbol }) => {
+    if (!symbol) return;
+    symbols[symbol] = [...(symbols[symbol] || []), code];
+  });
+  return symbols;
+}
+
 // Currencies that typically don't use decimal places (or have very low unit value)
 var ZERO_DECIMAL_CURRENCIES = ['HUF', 'JPY', 'KRW', 'IDR', 'ISK'];
 
@@ -184,10 +249,14 @@ function resolveOutputLocale(outputFormat, browserLocale) {
   return browserLocale;
 }
 
+function getCurrencyDigits(currencyCode) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currencyCode) ? 0 : 2;
+}
+
 function formatCurrencyAmount(amount, currencyCode, outputFormat = 'smart', browserLocale) {
   if (typeof amount !== 'number' || !Number.isFinite(amount)) return String(amount);
 
-  const digits = ZERO_DECIMAL_CURRENCIES.includes(currencyCode) ? 0 : 2;
+  const digits = getCurrencyDigits(currencyCode);
   const locale = resolveOutputLocale(outputFormat, browserLocale);
   return new Intl.NumberFormat(locale, {
     minimumFractionDigits: digits,
@@ -222,15 +291,44 @@ var TIMING = {
 
 var LIMITS = {
   MAX_SELECTION_LENGTH: 200,
+  MAX_CUSTOM_CURRENCIES: 20,
+  MAX_FEE_MARKUP_PERCENT: 20,
+  MAX_RATE_ALERTS: 20,
+  MAX_SECONDARY_TARGETS: 4,
+  MAX_ALERT_LOG_ENTRIES: 50,
+  MAX_HISTORY_ENTRIES: 200,
+  MAX_SETTINGS_FILE_BYTES: 102400, // All of chrome.storage.sync holds no more
 };
 
 var ECB_API_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+var ECB_HISTORY_90D_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist-90d.xml';
+var ECB_HISTORY_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.xml';
+var FRANKFURTER_API_URL = 'https://api.frankfurter.app/latest?from=EUR';
+
+/**
+ * Calendar date in the user's time zone as 'YYYY-MM-DD', as the tooltip's
+ * date picker shows it. toISOString() would give the UTC date instead.
+ */
+function localIsoDate(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Rate sources in fallback order are chosen with settings.rateProviders.
+var RATE_PROVIDER_NAMES = {
+  ecb: 'European Central Bank',
+  frankfurter: 'Frankfurter',
+};
 
 var ALARM_NAME = 'refreshRates';
-var ALARM_PERIOD_MINUTES = 1440; // 24 hours
+
+// Layout of stored settings; each bump comes with a step in SETTINGS_MIGRATIONS (settings.js)
+var SETTINGS_VERSION = 1;
 
 var DEFAULT_SETTINGS = {
   targetCurrency: 'USD', // Default target currency
+  secondaryTargetCurrencies: [], // Further targets listed under the main conversion in the tooltip
   defaultDollarCurrency: 'USD', // Default for generic '$'
   defaultYenCurrency: 'JPY', // Default for generic '¥'
   defaultKrCurrency: 'SEK', // Default for generic 'kr'
@@ -242,9 +340,73 @@ var DEFAULT_SETTINGS = {
   autoReplaceLimit: 2000, // Max replacements per page to prevent freezing
   theme: 'system', // 'system', 'light', 'dark'
   disabledDomains: [], // List of domains where extension is disabled
-  disableAnimations: false // Show extension UI changes immediately
+  disableAnimations: false, // Show extension UI changes immediately
+  rateProviders: ['ecb', 'frankfurter'], // Rate sources, tried in order until one answers
+  customCurrencies: [], // User-defined currencies pegged to an ECB currency
+  feeMarkupPercent: 0, // Card/bank FX spread added to conversions, in percent
+  feeMarkupByCurrency: {}, // Per-target-currency overrides of feeMarkupPercent
+  roundingMode: 'half-up', // 'half-up' or 'half-even' (accounting), applied to converted amounts
+  rateAlerts: [], // { from, to, type, value } rules checked after each rate fetch
+  copyFormat: 'iso', // Default format of the tooltip copy button, one of COPY_FORMATS
+  settingsVersion: SETTINGS_VERSION // Layout of the stored settings, upgraded on install and startup
+};
+
+// Clipboard formats offered by the tooltip copy menu, with their menu labels
+var COPY_FORMATS = {
+  iso: 'Number with code',
+  raw: 'Raw number',
+  symbol: 'Number with symbol',
+  sentence: 'Original → converted',
+  markdown: 'Markdown table',
+  csv: 'CSV row',
 };
 
+function normalizeFeeMarkup(value) {
+  const percent = Number(value);
+  return Number.isFinite(percent) && percent >= 0 && percent <= LIMITS.MAX_FEE_MARKUP_PERCENT ? percent : 0;
+}
+
+/**
+ * Fee markup that applies when converting into a target currency.
+ * A per-currency override wins over the global percentage.
+ *
+ * @param {Object} settings - Settings with feeMarkupPercent and feeMarkupByCurrency
+ * @param {string} targetCurrency - ISO code converted into
+ * @returns {number} Percentage, 0 when no fee applies
+ */
+function getFeeMarkupPercent(settings, targetCurrency) {
+  const overrides = settings?.feeMarkupByCurrency || {};
+  if (Object.hasOwn(overrides, targetCurrency)) {
+    return normalizeFeeMarkup(overrides[targetCurrency]);
+  }
+  return normalizeFeeMarkup(settings?.feeMarkupPercent);
+}
+
+/**
+ * Validate settings.secondaryTargetCurrencies: known codes, no duplicates,
+ * never the primary target, at most LIMITS.MAX_SECONDARY_TARGETS.
+ *
+ * @param {string[]} codes - Raw secondary target codes
+ * @param {string} primaryCurrency - settings.targetCurrency
+ * @param {Object[]} customCurrencies - settings.customCurrencies
+ * @returns {string[]}
+ */
+function normalizeSecondaryTargets(codes, primaryCurrency, customCurrencies) {
+  if (!Array.isArray(codes)) return [];
+
+  const currencyNames = getCurrencyNames(customCurrencies);
+  return codes
+    .map(code => String(code || '').toUpperCase())
+    .filter((code, index, list) => (
+      currencyNames[code] && code !== primaryCurrency && list.indexOf(code) === index
+    ))
+    .slice(0, LIMITS.MAX_SECONDARY_TARGETS);
+}
+
+// 'above'/'below' fire when the pair rate crosses `value`;
+// 'change' fires when it moves by at least `value` percent between two fetches.
+var RATE_ALERT_TYPES = ['above', 'below', 'change'];
+
 function getSiteHostname(locationValue) {
   const ancestorOrigins = locationValue?.ancestorOrigins;
   if (ancestorOrigins?.length) {
@@ -305,4 +467,15 @@ var STORAGE_KEYS = {
   SETTINGS: 'settings',
   RATES: 'rates',
   RATES_TIMESTAMP: 'ratesTimestamp',
+  RATES_DATE: 'ratesDate',
+  RATES_PROVIDER: 'ratesProvider',
+  RATES_VALIDATORS: 'ratesValidators',
+  RATES_QUARANTINE: 'ratesQuarantine',
+  ALERT_LOG: 'alertLog',
+  RATES_HISTORY: 'ratesHistory',
+  RATES_HISTORY_TIMESTAMP: 'ratesHistoryTimestamp',
+  RATES_HISTORY_ARCHIVE: 'ratesHistoryArchive',
+  RATES_LOG: 'ratesLog',
+  CONVERSION_HISTORY: 'conversionHistory',
+  QUICK_CONVERTER: 'quickConverter',
 };
@@ -0,0 +1,90 @@
+/**
+ * Exact decimal arithmetic for currency conversion.
+ * Amounts and rates are parsed from their decimal representation into BigInt
+ * fixed-point values, so a conversion is rounded exactly once, to the target
+ * currency's minor unit, instead of accumulating binary floating-point error.
+ *
+ * Uses `var`/function globals like constants.js so the same code runs in
+ * content scripts and the service worker (via importScripts).
+ */
+
+/* eslint-disable no-var */
+
+var ROUNDING_MODES = ['half-up', 'half-even'];
+
+/**
+ * Parse a number or numeric string into { units, scale }, where the value is
+ * units / 10^scale. Exponent notation ("1e-7") is accepted.
+ *
+ * @param {number|string} value
+ * @returns {{ units: bigint, scale: number }|null} null when not a finite decimal
+ */
+function parseDecimal(value) {
+  const text = String(value).trim();
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+  if (!match || !(match[2] || match[3])) return null;
+
+  const [, sign, integerPart, fractionPart = '', exponent = '0'] = match;
+  let units = BigInt(`${integerPart}${fractionPart}` || '0');
+  let scale = fractionPart.length - Number(exponent);
+  if (scale < 0) {
+    units *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { units: sign === '-' ? -units : units, scale };
+}
+
+/**
+ * Integer division rounded to the nearest integer.
+ * 'half-up' rounds ties away from zero (like Intl.NumberFormat);
+ * 'half-even' rounds ties to the even neighbour (banker's rounding).
+ *
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Must be positive
+ * @param {string} roundingMode - One of ROUNDING_MODES
+ * @returns {bigint}
+ */
+function divideRounded(numerator, denominator, roundingMode) {
+  let quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const doubled = 2n * (remainder < 0n ? -remainder : remainder);
+
+  const roundAway = doubled > denominator || (
+    doubled === denominator && (roundingMode !== 'half-even' || quotient % 2n !== 0n)
+  );
+  if (roundAway) {
+    quotient += numerator < 0n ? -1n : 1n;
+  }
+  return quotient;
+}
+
+/**
+ * Convert an amount through two EUR-based rates with a single exact rounding:
+ * amount / fromRate * toRate * (1 + markupPercent / 100).
+ *
+ * @param {number|string} amount - Amount in the source currency
+ * @param {number|string} fromRate - Source currency units per EUR
+ * @param {number|string} toRate - Target currency units per EUR
+ * @param {{ digits?: number, roundingMode?: string, markupPercent?: number }} options
+ * @returns {number} Converted amount rounded to `digits` decimal places
+ */
+function convertDecimal(amount, fromRate, toRate, { digits = 2, roundingMode = 'half-up', markupPercent = 0 } = {}) {
+  const value = parseDecimal(amount);
+  const from = parseDecimal(fromRate);
+  const to = parseDecimal(toRate);
+  const markup = parseDecimal(markupPercent || 0);
+
+  if (!value) throw new Error(`Invalid amount: ${amount}`);
+  if (!from || from.units <= 0n || !to || to.units <= 0n) {
+    throw new Error(`Invalid rate: ${from && from.units > 0n ? toRate : fromRate}`);
+  }
+  if (!markup) throw new Error(`Invalid markup: ${markupPercent}`);
+
+  const markupBase = 100n * 10n ** BigInt(markup.scale);
+  const numerator = value.units * to.units * (markupBase + markup.units) *
+    10n ** BigInt(from.scale + digits);
+  const denominator = from.units * 10n ** BigInt(value.scale + to.scale) * markupBase;
+
+  const minorUnits = divideRounded(numerator, denominator, roundingMode);
+  return Number(minorUnits) / 10 ** digits;
+}
@@ -0,0 +1,320 @@
+/* eslint-disable no-var */
+/**
+ * Message protocol between content scripts, extension pages and the service
+ * worker. Every message is built with createMessage() and checked with
+ * validateMessage() by its receiver, so a malformed or outdated message gets
+ * an explicit error instead of being half-handled.
+ */
+
+// Bump when a message shape changes incompatibly
+var MESSAGE_PROTOCOL_VERSION = 1;
+
+var MESSAGE_TYPES = {
+  // To the service worker
+  CURRENCY_DETECTED: 'currency-detected',
+  RECALCULATE_CONVERSION: 'recalculate-conversion',
+  MANUAL_SYNC: 'manual-sync',
+  GET_RATES: 'get-rates',
+  CONVERT_AS_OF: 'convert-as-of',
+  GET_RATE_SERIES: 'get-rate-series',
+  // To content scripts
+  SHOW_CONVERSION: 'show-conversion',
+  CONVERT_SELECTION: 'convert-selection',
+  TOGGLE_HYBRID: 'toggle-hybrid',
+};
+
+var MESSAGE_RECEIVERS = {
+  BACKGROUND: 'background',
+  CONTENT: 'content',
+};
+
+var NEGATIVE_STYLE_SPEC = { type: 'enum', values: ['sign', 'parentheses'], optional: true, nullable: true };
+
+var COMPACT_SPEC = {
+  type: 'object',
+  fields: {
+    multiplier: { type: 'number' },
+    label: { type: 'string' },
+  },
+  optional: true,
+  nullable: true,
+};
+
+/**
+ * Receiver and field specs per message type. A field spec has a `type`
+ * (string, number, boolean, currency, date, enum, rates, array, record or
+ * object), may be `optional` or `nullable`, and describes array items and
+ * record values with `of` and object fields with `fields`.
+ */
+var MESSAGE_SCHEMAS = {
+  [MESSAGE_TYPES.CURRENCY_DETECTED]: {
+    receiver: MESSAGE_RECEIVERS.BACKGROUND,
+    fields: {
+      detection: {
+        type: 'object',
+        fields: {
+          amount: { type: 'number' },
+          currencies: { type: 'array', of: { type: 'currency' } },
+          original: { type: 'string' },
+          symbol: { type: 'string', optional: true },
+          start: { type: 'number' },
+          end: { type: 'number' },
+          negativeStyle: NEGATIVE_STYLE_SPEC,
+          compact: COMPACT_SPEC,
+          selectionText: { type: 'string', maxLength: LIMITS.MAX_SELECTION_LENGTH },
+        },
+      },
+      targetCurrency: { type: 'currency', optional: true },
+    },
+  },
+  [MESSAGE_TYPES.RECALCULATE_CONVERSION]: {
+    receiver: MESSAGE_RECEIVERS.BACKGROUND,
+    fields: {
+      data: {
+        type: 'object',
+        fields: {
+          amount: { type: 'number' },
+          fromCurrency: { type: 'currency' },
+          targetCurrency: { type: 'currency' },
+          outputFormat: { type: 'string' },
+          disableAnimations: { type: 'boolean', optional: true },
+          negativeStyle: NEGATIVE_STYLE_SPEC,
+          compact: COMPACT_SPEC,
+          originalSymbol: { type: 'string', optional: true, nullable: true },
+          possibleCurrencies: { type: 'array', of: { type: 'currency' }, optional: true },
+          asOf: { type: 'date', optional: true, nullable: true },
+          historyId: { type: 'string', optional: true, nullable: true },
+        },
+      },
+    },
+  },
+  [MESSAGE_TYPES.MANUAL_SYNC]: {
+    receiver: MESSAGE_RECEIVERS.BACKGROUND,
+    fields: {},
+  },
+  [MESSAGE_TYPES.GET_RATES]: {
+    receiver: MESSAGE_RECEIVERS.BACKGROUND,
+    fields: {},
+  },
+  [MESSAGE_TYPES.CONVERT_AS_OF]: {
+    receiver: MESSAGE_RECEIVERS.BACKGROUND,
+    fields: {
+      data: {
+        type: 'object',
+        fields: {
+          amount: { type: 'number' },
+          fromCurrency: { type: 'currency' },
+          targetCurrency: { type: 'currency' },
+          asOf: { type: 'date' },
+        },
+      },
+    },
+  },
+  [MESSAGE_TYPES.GET_RATE_SERIES]: {
+    receiver: MESSAGE_RECEIVERS.BACKGROUND,
+    fields: {
+      data: {
+        type: 'object',
+        fields: {
+          from: { type: 'currency' },
+          to: { type: 'currency' },
+          days: { type: 'number', optional: true },
+        },
+      },
+    },
+  },
+  [MESSAGE_TYPES.SHOW_CONVERSION]: {
+    receiver: MESSAGE_RECEIVERS.CONTENT,
+    fields: {
+      data: {
+        type: 'object',
+        fields: {
+          originalAmount: { type: 'number' },
+          originalCurrency: { type: 'currency' },
+          originalSymbol: { type: 'string', optional: true, nullable: true },
+          possibleCurrencies: { type: 'array', of: { type: 'currency' }, optional: true },
+          convertedAmount: { type: 'number' },
+          midMarketAmount: { type: 'number' },
+          feeMarkupPercent: { type: 'number' },
+          targetCurrency: { type: 'currency' },
+          secondaryConversions: {
+            type: 'array',
+            of: {
+              type: 'object',
+              fields: {
+                targetCurrency: { type: 'currency' },
+                convertedAmount: { type: 'number' },
+                midMarketAmount: { type: 'number' },
+                feeMarkupPercent: { type: 'number' },
+              },
+            },
+          },
+          outputFormat: { type: 'string' },
+          copyFormat: { type: 'string' },
+          disableAnimations: { type: 'boolean', optional: true },
+          negativeStyle: NEGATIVE_STYLE_SPEC,
+          compact: COMPACT_SPEC,
+          asOf: { type: 'date', nullable: true },
+          rateDate: { type: 'date', optional: true, nullable: true },
+          bundledRates: { type: 'boolean' },
+          rateSeries: {
+            type: 'array',
+            of: {
+              type: 'object',
+              fields: {
+                date: { type: 'date' },
+                rate: { type: 'number' },
+              },
+            },
+          },
+          historyId: { type: 'string', optional: true, nullable: true },
+        },
+      },
+    },
+  },
+  [MESSAGE_TYPES.CONVERT_SELECTION]: {
+    receiver: MESSAGE_RECEIVERS.CONTENT,
+    fields: {},
+  },
+  [MESSAGE_TYPES.TOGGLE_HYBRID]: {
+    receiver: MESSAGE_RECEIVERS.CONTENT,
+    fields: {},
+  },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Nested problems ('[0]."rate" ...') attach to their path without a space
+function prefixSchemaProblem(prefix, problem) {
+  return /^[[.]/.test(problem) ? `${prefix}${problem}` : `${prefix} ${problem}`;
+}
+
+/**
+ * Problem with one field value, or null when it matches its spec.
+ * @returns {string|null}
+ */
+function checkMessageField(value, spec) {
+  if (value === null && spec.nullable) return null;
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (spec.maxLength && value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+      return null;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a finite number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'currency':
+      return typeof value === 'string' && /^[A-Z]{3}$/.test(value) ? null : 'must be a three-letter currency code';
+    case 'date':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : 'must be a YYYY-MM-DD date';
+    case 'enum':
+      return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')}`;
+    case 'rates':
+      return isPlainObject(value) && Object.values(value).every(rate => Number.isFinite(rate) && rate > 0)
+        ? null
+        : 'must map currency codes to positive rates';
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      if (!spec.of) return null;
+      for (let index = 0; index < value.length; index++) {
+        const problem = checkMessageField(value[index], spec.of);
+        if (problem) return prefixSchemaProblem(`[${index}]`, problem);
+      }
+      return null;
+    case 'record':
+      if (!isPlainObject(value)) return 'must be an object';
+      if (!spec.of) return null;
+      for (const [key, item] of Object.entries(value)) {
+        const problem = checkMessageField(item, spec.of);
+        if (problem) return prefixSchemaProblem(`."${key}"`, problem);
+      }
+      return null;
+    case 'object': {
+      if (!isPlainObject(value)) return 'must be an object';
+      const problem = findMessageSchemaProblem(value, spec.fields);
+      return problem ? `.${problem}` : null;
+    }
+    default:
+      return `has an unknown schema type ${spec.type}`;
+  }
+}
+
+/**
+ * First mismatch between an object and its field specs, e.g. '"amount" must
+ * be a finite number'. Fields outside the specs are mismatches too.
+ *
+ * @param {Object} value
+ * @param {Object} fields - Field specs, as in MESSAGE_SCHEMAS
+ * @param {string[]} ignored - Envelope fields that are not part of the specs
+ * @returns {string|null}
+ */
+function findMessageSchemaProblem(value, fields, ignored = []) {
+  if (!isPlainObject(value)) return 'value must be an object';
+
+  const unknown = Object.keys(value).find(key => !ignored.includes(key) && !Object.hasOwn(fields, key));
+  if (unknown) return `"${unknown}" is not a known field`;
+
+  for (const [key, spec] of Object.entries(fields)) {
+    if (value[key] === undefined) {
+      if (spec.optional) continue;
+      return `"${key}" is required`;
+    }
+    const problem = checkMessageField(value[key], spec);
+    if (problem) return prefixSchemaProblem(`"${key}"`, problem);
+  }
+  return null;
+}
+
+/**
+ * Check a message against its schema.
+ *
+ * @param {Object} message - { type, version, ...fields }
+ * @param {string} receiver - MESSAGE_RECEIVERS value of the listener checking it
+ * @returns {Object} The message
+ * @throws {Error} Describing the first problem found
+ */
+function validateMessage(message, receiver) {
+  if (!isPlainObject(message)) {
+    throw new Error('Message must be an object');
+  }
+
+  const schema = Object.hasOwn(MESSAGE_SCHEMAS, message.type) ? MESSAGE_SCHEMAS[message.type] : null;
+  if (!schema || schema.receiver !== receiver) {
+    throw new Error(`Unknown message type for ${receiver}: ${message.type}`);
+  }
+  if (message.version !== MESSAGE_PROTOCOL_VERSION) {
+    throw new Error(`Unsupported ${message.type} message version ${message.version}; expected ${MESSAGE_PROTOCOL_VERSION}`);
+  }
+
+  const problem = findMessageSchemaProblem(message, schema.fields, ['type', 'version']);
+  if (problem) {
+    throw new Error(`Invalid ${message.type} message: ${problem}`);
+  }
+  return message;
+}
+
+/**
+ * Build a message of the current protocol version. Fields left undefined are
+ * dropped, as structured cloning would drop them anyway.
+ *
+ * @param {string} type - MESSAGE_TYPES value
+ * @param {Object} fields
+ * @returns {Object}
+ * @throws {Error} If the message does not match its schema
+ */
+function createMessage(type, fields = {}) {
+  const message = JSON.parse(JSON.stringify({ type, version: MESSAGE_PROTOCOL_VERSION, ...fields }));
+  return validateMessage(message, MESSAGE_SCHEMAS[type]?.receiver);
+}
+
+/**
+ * Response to a message that could not be handled.
+ * @returns {{ status: 'error', version: number, message: string }}
+ */
+function createMessageError(errorMessage) {
+  return { status: 'error', version: MESSAGE_PROTOCOL_VERSION, message: errorMessage };
+}
@@ -0,0 +1,43 @@
+/**
+ * Bundled ECB reference rates used until the first successful rate fetch,
+ * e.g. when the extension is installed without network access.
+ * Regenerate before each release with: python scripts/update_seed_rates.py
+ */
+
+/* eslint-disable no-var */
+
+var SEED_RATES = {
+  date: '2025-08-01',
+  rates: {
+    USD: 1.1404,
+    JPY: 171.79,
+    BGN: 1.9558,
+    CZK: 24.485,
+    DKK: 7.4636,
+    GBP: 0.86358,
+    HUF: 397.7,
+    PLN: 4.2705,
+    RON: 5.0731,
+    SEK: 11.1535,
+    CHF: 0.9235,
+    ISK: 141.6,
+    NOK: 11.7495,
+    TRY: 46.4217,
+    AUD: 1.7761,
+    BRL: 6.3839,
+    CAD: 1.5798,
+    CNY: 8.2127,
+    HKD: 8.9518,
+    IDR: 18744.83,
+    ILS: 3.8807,
+    INR: 99.909,
+    KRW: 1588.32,
+    MXN: 21.5641,
+    MYR: 4.8804,
+    NZD: 1.9435,
+    PHP: 66.282,
+    SGD: 1.4773,
+    THB: 37.364,
+    ZAR: 20.7386,
+  },
+};
@@ -0,0 +1,382 @@
+/**
+ * Stored settings schema and migrations. The service worker upgrades stored
+ * settings to SETTINGS_VERSION on install and startup: each migration step
+ * rewrites the layout of the version before it, then every key is checked
+ * against SETTINGS_SCHEMA. Unknown keys are dropped and invalid values fall
+ * back to DEFAULT_SETTINGS. Every reader goes through the same steps with
+ * loadSettings(), so settings synced from an older version are never used
+ * as stored. Settings files exported from the popup go through the same
+ * steps on import, but are rejected instead of repaired.
+ * Uses globals from constants.js and messages.js.
+ */
+
+function toUpperCode(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : value;
+}
+
+function toNumber(value) {
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+}
+
+function getSettingsVersion(settings) {
+  return Number.isInteger(settings.settingsVersion) ? settings.settingsVersion : 0;
+}
+
+/**
+ * Ordered upgrade steps. Step `version` turns settings of the previous version
+ * into that version; settings without settingsVersion run every step.
+ */
+var SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    // Before Hybrid mode, whole-page replacement was the autoReplaceEnabled toggle
+    migrate: (settings) => {
+      const { autoReplaceEnabled, ...rest } = settings;
+      if (typeof autoReplaceEnabled === 'boolean' && rest.conversionMode === undefined) {
+        rest.conversionMode = autoReplaceEnabled ? 'auto' : 'interactive';
+      }
+      return rest;
+    },
+  },
+];
+
+/**
+ * Validate rate alert rules from settings.rateAlerts.
+ * Rules need two different known currencies and a positive value; duplicates
+ * are dropped. Each rule gets a stable id derived from its contents.
+ *
+ * @param {Object[]} rateAlerts - Raw { from, to, type, value } rules
+ * @param {Object[]} customCurrencies - settings.customCurrencies
+ * @returns {{ id: string, from: string, to: string, type: string, value: number }[]}
+ */
+function normalizeRateAlerts(rateAlerts, customCurrencies) {
+  if (!Array.isArray(rateAlerts)) return [];
+
+  const currencyNames = getCurrencyNames(customCurrencies);
+  const seen = new Set();
+  return rateAlerts.reduce((result, rule) => {
+    const from = String(rule?.from || '').toUpperCase();
+    const to = String(rule?.to || '').toUpperCase();
+    const type = rule?.type;
+    const value = Number(rule?.value);
+    const id = `${from}/${to}:${type}:${value}`;
+    if (
+      !currencyNames[from] ||
+      !currencyNames[to] ||
+      from === to ||
+      !RATE_ALERT_TYPES.includes(type) ||
+      !Number.isFinite(value) ||
+      value <= 0 ||
+      (type === 'change' && value > 100) ||
+      seen.has(id) ||
+      result.length >= LIMITS.MAX_RATE_ALERTS
+    ) {
+      return result;
+    }
+
+    seen.add(id);
+    result.push({ id, from, to, type, value });
+    return result;
+  }, []);
+}
+
+/**
+ * Field spec per setting, in the format of MESSAGE_SCHEMAS. `normalize`
+ * receives the type-checked value and all type-checked settings, and returns
+ * the value to store. Where it drops or replaces values that cannot be used,
+ * `requirement` says why, for settings files that are rejected on import;
+ * without one, normalizing only tidies the value.
+ */
+var SETTINGS_SCHEMA = {
+  targetCurrency: {
+    type: 'currency',
+    normalize: (code, settings) => (
+      getCurrencyNames(settings.customCurrencies)[code] ? code : DEFAULT_SETTINGS.targetCurrency
+    ),
+    requirement: 'must be an ECB or custom currency',
+  },
+  secondaryTargetCurrencies: {
+    type: 'array',
+    of: { type: 'currency' },
+    normalize: (codes, settings) => normalizeSecondaryTargets(codes, settings.targetCurrency, settings.customCurrencies),
+    requirement: 'must be an ECB or custom currency other than the target currency, listed once, ' +
+      `with at most ${LIMITS.MAX_SECONDARY_TARGETS} in all`,
+  },
+  defaultDollarCurrency: { type: 'currency' },
+  defaultYenCurrency: { type: 'currency' },
+  defaultKrCurrency: { type: 'currency' },
+  defaultFrCurrency: { type: 'currency' },
+  numberFormat: { type: 'enum', values: ['auto', 'us', 'eu'] },
+  outputFormat: { type: 'enum', values: ['smart', 'us', 'eu'] },
+  extensionEnabled: { type: 'boolean' },
+  conversionMode: { type: 'enum', values: ['auto', 'interactive'] },
+  autoReplaceLimit: {
+    type: 'number',
+    normalize: limit => (limit >= 1 ? Math.floor(limit) : DEFAULT_SETTINGS.autoReplaceLimit),
+    requirement: 'must be a whole number of at least 1',
+  },
+  theme: { type: 'enum', values: ['system', 'light', 'dark'] },
+  disabledDomains: {
+    type: 'array',
+    of: { type: 'string' },
+    normalize: domains => domains
+      .map(domain => domain.trim().toLowerCase())
+      .filter((domain, index, list) => domain && list.indexOf(domain) === index),
+  },
+  disableAnimations: { type: 'boolean' },
+  rateProviders: {
+    type: 'array',
+    of: { type: 'enum', values: Object.keys(RATE_PROVIDER_NAMES) },
+    normalize: ids => ids.filter((id, index) => ids.indexOf(id) === index),
+  },
+  customCurrencies: {
+    type: 'array',
+    normalize: normalizeCustomCurrencies,
+    requirement: 'must have a three-letter code that is not an ECB currency, used once, and a positive rate ' +
+      `against an ECB currency, with at most ${LIMITS.MAX_CUSTOM_CURRENCIES} in all`,
+  },
+  feeMarkupPercent: {
+    type: 'number',
+    normalize: normalizeFeeMarkup,
+    requirement: `must be between 0 and ${LIMITS.MAX_FEE_MARKUP_PERCENT}`,
+  },
+  feeMarkupByCurrency: {
+    type: 'record',
+    of: { type: 'number' },
+    normalize: (overrides, settings) => {
+      const currencyNames = getCurrencyNames(settings.customCurrencies);
+      return Object.fromEntries(Object.entries(overrides).filter(([code, percent]) => (
+        currencyNames[code] && normalizeFeeMarkup(percent) === percent
+      )));
+    },
+    requirement: `must be an ECB or custom currency with a markup between 0 and ${LIMITS.MAX_FEE_MARKUP_PERCENT}`,
+  },
+  roundingMode: { type: 'enum', values: ['half-up', 'half-even'] },
+  rateAlerts: {
+    type: 'array',
+    normalize: (rules, settings) => normalizeRateAlerts(rules, settings.customCurrencies)
+      .map(({ from, to, type, value }) => ({ from, to, type, value })),
+    requirement: `must pair two different ECB or custom currencies with a type of ${RATE_ALERT_TYPES.join(', ')} ` +
+      `and a positive value (up to 100 for change), listed once, with at most ${LIMITS.MAX_RATE_ALERTS} in all`,
+  },
+  copyFormat: { type: 'enum', values: Object.keys(COPY_FORMATS) },
+  settingsVersion: { type: 'number' },
+};
+
+/**
+ * Check every setting against SETTINGS_SCHEMA. Unknown keys are dropped,
+ * missing or invalid values are replaced with their defaults, and list entries
+ * that fail validation are removed.
+ *
+ * @param {Object} settings
+ * @returns {{ settings: Object, problems: string[] }} Complete settings, and
+ *   what was dropped or replaced, e.g. '"theme" must be one of system, light, dark'
+ */
+function sanitizeSettings(settings) {
+  const problems = [];
+  if (!isPlainObject(settings)) {
+    problems.push('Settings must be an object');
+  }
+  const source = isPlainObject(settings) ? settings : {};
+
+  Object.keys(source)
+    .filter(key => !Object.hasOwn(SETTINGS_SCHEMA, key))
+    .forEach(key => problems.push(`"${key}" is not a known setting`));
+
+  const checked = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, spec]) => {
+    const problem = source[key] === undefined ? null : checkMessageField(source[key], spec);
+    if (problem) problems.push(prefixSchemaProblem(`"${key}"`, problem));
+    checked[key] = source[key] === undefined || problem ? DEFAULT_SETTINGS[key] : source[key];
+  });
+
+  const result = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, spec]) => {
+    result[key] = spec.normalize ? spec.normalize(checked[key], checked) : checked[key];
+    if (JSON.stringify(result[key]) !== JSON.stringify(checked[key])) {
+      problems.push(`"${key}" has values that are not allowed`);
+    }
+  });
+  return { settings: JSON.parse(JSON.stringify(result)), problems };
+}
+
+/**
+ * Upgrade stored settings to SETTINGS_VERSION and validate them. Settings
+ * from a newer version of the extension, synced from another device, are
+ * returned unchanged.
+ *
+ * @param {Object|undefined} stored - Settings as read from storage
+ * @returns {{ settings: Object, problems: string[] }}
+ */
+function migrateSettings(stored) {
+  if (stored === undefined) {
+    return sanitizeSettings({});
+  }
+  if (!isPlainObject(stored)) {
+    return sanitizeSettings(stored);
+  }
+
+  if (getSettingsVersion(stored) > SETTINGS_VERSION) {
+    return { settings: stored, problems: [] };
+  }
+  return sanitizeSettings({ ...runSettingsMigrations(stored), settingsVersion: SETTINGS_VERSION });
+}
+
+/**
+ * Settings to work with, from the value stored under STORAGE_KEYS.SETTINGS.
+ * Settings from a newer version keep what this version does not know and
+ * are completed from the defaults.
+ *
+ * @param {Object|undefined} stored - Settings as read from storage
+ * @returns {Object} Complete settings
+ */
+function resolveStoredSettings(stored) {
+  return { ...DEFAULT_SETTINGS, ...migrateSettings(stored).settings };
+}
+
+/**
+ * Read the settings from sync storage, upgraded and validated.
+ * @returns {Promise<Object>} Complete settings
+ */
+async function loadSettings() {
+  const result = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+  return resolveStoredSettings(result[STORAGE_KEYS.SETTINGS]);
+}
+
+// Apply the steps newer than the version the settings were saved with
+function runSettingsMigrations(settings) {
+  const fromVersion = getSettingsVersion(settings);
+  return SETTINGS_MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .reduce((migrated, step) => step.migrate(migrated), { ...settings });
+}
+
+/**
+ * Settings file contents for the popup's Export button: the complete, current
+ * settings with their settingsVersion.
+ *
+ * @param {Object|undefined} stored - Settings as read from storage
+ * @returns {string} Indented JSON
+ */
+function createSettingsExport(stored) {
+  return JSON.stringify(migrateSettings(stored).settings, null, 2);
+}
+
+// Forms accepted in settings files besides the stored ones: numbers as text, codes in any case
+function coerceSettingValue(value, spec) {
+  switch (spec.type) {
+    case 'number':
+      return toNumber(value);
+    case 'currency':
+      return toUpperCode(value);
+    case 'array':
+      return Array.isArray(value) && spec.of ? value.map(item => coerceSettingValue(item, spec.of)) : value;
+    case 'record':
+      return isPlainObject(value) && spec.of
+        ? Object.fromEntries(Object.entries(value).map(([key, item]) => [key, coerceSettingValue(item, spec.of)]))
+        : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * First part of an imported value that normalizing drops or replaces, e.g.
+ * '[2] must be ...'. Normalizers keep the order of lists and records, so the
+ * first entry whose prefix loses an entry is the culprit.
+ *
+ * @param {*} value - Type-checked value
+ * @param {Object} spec - SETTINGS_SCHEMA entry with a requirement
+ * @param {Object} settings - All settings the value is normalized with
+ * @returns {string|null}
+ */
+function findRejectedSettingValue(value, spec, settings) {
+  const normalized = spec.normalize(value, settings);
+  if (Array.isArray(value)) {
+    if (normalized.length === value.length) return null;
+    const index = value.findIndex((_, end) => spec.normalize(value.slice(0, end + 1), settings).length <= end);
+    return prefixSchemaProblem(`[${index}]`, spec.requirement);
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value);
+    if (Object.keys(normalized).length === entries.length) return null;
+    const index = entries.findIndex((_, end) => (
+      Object.keys(spec.normalize(Object.fromEntries(entries.slice(0, end + 1)), settings)).length <= end
+    ));
+    return prefixSchemaProblem(`."${entries[index][0]}"`, spec.requirement);
+  }
+  return JSON.stringify(normalized) === JSON.stringify(value) ? null : spec.requirement;
+}
+
+/**
+ * Check a settings file before it is applied. The file may hold every setting
+ * or only some of them; the rest keep their current values, as when a single
+ * setting is changed in the popup. Values are read as leniently as the popup
+ * reads typed input, but files with unknown keys or values that cannot be used
+ * are rejected rather than partly applied.
+ *
+ * @param {string} text - File contents
+ * @param {Object} [current] - Current settings, as read from storage
+ * @returns {{ settings: Object|null, changes: Array<{ key: string, from: *, to: * }>, problems: string[] }}
+ *   The settings to store and how they differ from the current ones, or
+ *   `settings: null` with the reasons the file was rejected, e.g.
+ *   '"customCurrencies"[1] must have a three-letter code ...'
+ */
+function prepareSettingsImport(text, current = {}) {
+  const reject = problems => ({ settings: null, changes: [], problems });
+
+  let imported;
+  try {
+    imported = JSON.parse(text);
+  } catch (err) {
+    return reject(['The file is not valid JSON']);
+  }
+  if (!isPlainObject(imported)) {
+    return reject(['The file does not contain settings']);
+  }
+  if (getSettingsVersion(imported) > SETTINGS_VERSION) {
+    return reject(['The file was exported by a newer version of the extension']);
+  }
+  // Synced from a device with a newer version: replacing them would drop what this version does not know
+  if (isPlainObject(current) && getSettingsVersion(current) > SETTINGS_VERSION) {
+    return reject(['Your settings were saved by a newer version of the extension']);
+  }
+
+  // Problems with the stored settings are repaired here, not blamed on the file
+  const base = migrateSettings(current).settings;
+  const problems = [];
+  const values = {};
+  Object.entries(runSettingsMigrations(imported)).forEach(([key, value]) => {
+    if (key === 'settingsVersion') return;
+    if (!Object.hasOwn(SETTINGS_SCHEMA, key)) {
+      problems.push(`"${key}" is not a known setting`);
+      return;
+    }
+    const coerced = coerceSettingValue(value, SETTINGS_SCHEMA[key]);
+    const problem = checkMessageField(coerced, SETTINGS_SCHEMA[key]);
+    if (problem) {
+      problems.push(prefixSchemaProblem(`"${key}"`, problem));
+    } else {
+      values[key] = coerced;
+    }
+  });
+
+  const merged = { ...base, ...values };
+  const settings = { ...merged, settingsVersion: SETTINGS_VERSION };
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, spec]) => {
+    if (!spec.normalize) return;
+    settings[key] = spec.normalize(merged[key], merged);
+    if (Object.hasOwn(values, key) && spec.requirement) {
+      const problem = findRejectedSettingValue(merged[key], spec, merged);
+      if (problem) problems.push(prefixSchemaProblem(`"${key}"`, problem));
+    }
+  });
+  if (problems.length) {
+    return reject(problems);
+  }
+
+  const changes = Object.keys(SETTINGS_SCHEMA)
+    .filter(key => key !== 'settingsVersion' && JSON.stringify(settings[key]) !== JSON.stringify(base[key]))
+    .map(key => ({ key, from: base[key], to: settings[key] }));
+  return { settings: JSON.parse(JSON.stringify(settings)), changes, problems: [] };
+}
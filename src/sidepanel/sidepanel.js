@@ -0,0 +1,208 @@
+document.addEventListener('DOMContentLoaded', async () => {
+    // DOM Elements
+    const converterForm = document.getElementById('converterForm');
+    const converterAmount = document.getElementById('converterAmount');
+    const converterFrom = document.getElementById('converterFrom');
+    const converterTo = document.getElementById('converterTo');
+    const converterSwap = document.getElementById('converterSwap');
+    const converterResult = document.getElementById('converterResult');
+    const converterNote = document.getElementById('converterNote');
+    const historySearch = document.getElementById('historySearch');
+    const historyEmpty = document.getElementById('historyEmpty');
+    const historyList = document.getElementById('historyList');
+    const clearHistory = document.getElementById('clearHistory');
+
+    // Load settings, the last converter inputs and the history
+    let settings = await loadSettings();
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.QUICK_CONVERTER, STORAGE_KEYS.CONVERSION_HISTORY]);
+    const converterState = stored[STORAGE_KEYS.QUICK_CONVERTER] || {};
+    let history = Array.isArray(stored[STORAGE_KEYS.CONVERSION_HISTORY])
+        ? stored[STORAGE_KEYS.CONVERSION_HISTORY]
+        : [];
+    let rates = null;
+    let rateDate = null;
+    let saveTimer = null;
+
+    converterAmount.value = typeof converterState.amount === 'string' ? converterState.amount : '1';
+    populateCurrencySelect(converterFrom, converterState.from || 'EUR');
+    populateCurrencySelect(
+        converterTo,
+        converterState.to || (settings.targetCurrency === 'EUR' ? 'USD' : settings.targetCurrency),
+    );
+
+    await loadRates();
+    renderConversion();
+    renderHistory();
+
+    // Event Listeners
+    converterForm.addEventListener('submit', (e) => e.preventDefault());
+    converterAmount.addEventListener('input', onConverterChange);
+    converterFrom.addEventListener('change', onConverterChange);
+    converterTo.addEventListener('change', onConverterChange);
+    converterSwap.addEventListener('click', () => {
+        [converterFrom.value, converterTo.value] = [converterTo.value, converterFrom.value];
+        onConverterChange();
+    });
+
+    historySearch.addEventListener('input', renderHistory);
+    clearHistory.addEventListener('click', async () => {
+        await chrome.storage.local.set({ [STORAGE_KEYS.CONVERSION_HISTORY]: [] });
+    });
+
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+        if (area === 'sync' && changes[STORAGE_KEYS.SETTINGS]) {
+            settings = resolveStoredSettings(changes[STORAGE_KEYS.SETTINGS].newValue);
+            populateCurrencySelect(converterFrom, converterFrom.value);
+            populateCurrencySelect(converterTo, converterTo.value);
+            // Custom currencies change the merged rate map
+            await loadRates();
+            renderConversion();
+            renderHistory();
+        }
+
+        if (area === 'local' && changes[STORAGE_KEYS.RATES]) {
+            await loadRates();
+            renderConversion();
+        }
+
+        if (area === 'local' && changes[STORAGE_KEYS.CONVERSION_HISTORY]) {
+            const newHistory = changes[STORAGE_KEYS.CONVERSION_HISTORY].newValue;
+            history = Array.isArray(newHistory) ? newHistory : [];
+            renderHistory();
+        }
+    });
+
+    // --- Helper Functions ---
+
+    async function loadRates() {
+        try {
+            const response = await chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.GET_RATES));
+            rates = response?.rates || null;
+            rateDate = response?.rateDate || null;
+        } catch (err) {
+            console.warn('[OpenSourceCurrencyConverter] Failed to load side panel rates:', err);
+            rates = null;
+        }
+    }
+
+    function onConverterChange() {
+        renderConversion();
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => {
+            chrome.storage.local.set({
+                [STORAGE_KEYS.QUICK_CONVERTER]: {
+                    amount: converterAmount.value,
+                    from: converterFrom.value,
+                    to: converterTo.value,
+                },
+            });
+        }, TIMING.DEBOUNCE_MS);
+    }
+
+    function populateCurrencySelect(select, selectedCode) {
+        const currencyNames = getCurrencyNames(settings.customCurrencies);
+        select.textContent = '';
+        Object.keys(currencyNames).sort().forEach((code) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${code} - ${currencyNames[code]}`;
+            select.appendChild(option);
+        });
+        select.value = currencyNames[selectedCode] ? selectedCode : DEFAULT_SETTINGS.targetCurrency;
+    }
+
+    // Amounts are read like prices on a page, following the "Read prices as" setting
+    function readAmount() {
+        const text = converterAmount.value.trim();
+        if (!/^[+-]?[\d.,'’\s]*\d[\d.,'’\s]*$/.test(text)) return null;
+        const amount = CurrencyDetector.parseNumber(text.replace(/['’]/g, ''), settings.numberFormat);
+        return Number.isFinite(amount) ? amount : null;
+    }
+
+    function formatAmount(amount, currencyCode) {
+        return `${formatCurrencyAmount(amount, currencyCode, settings.outputFormat)} ${currencyCode}`;
+    }
+
+    function renderConversion() {
+        const amount = readAmount();
+        const from = converterFrom.value;
+        const to = converterTo.value;
+        converterAmount.classList.toggle('invalid', converterAmount.value.trim() !== '' && amount === null);
+        converterResult.textContent = '';
+        converterNote.textContent = '';
+
+        if (!rates) {
+            converterNote.textContent = 'Rates are not available yet.';
+            return;
+        }
+        if (!rates[from] || !rates[to]) {
+            converterNote.textContent = `No rate for ${rates[from] ? to : from}.`;
+            return;
+        }
+        if (amount === null) return;
+
+        const markupPercent = from === to ? 0 : getFeeMarkupPercent(settings, to);
+        const convertedAmount = from === to
+            ? amount
+            : convertDecimal(amount, rates[from], rates[to], {
+                digits: getCurrencyDigits(to),
+                roundingMode: settings.roundingMode,
+                markupPercent,
+            });
+
+        converterResult.textContent = formatAmount(convertedAmount, to);
+        converterNote.textContent = [
+            `1 ${from} = ${Number((rates[to] / rates[from]).toPrecision(6))} ${to}`,
+            markupPercent > 0 ? `incl. ${markupPercent}% card fee` : '',
+            rateDate ? `rates of ${rateDate}` : '',
+        ].filter(Boolean).join(' · ');
+    }
+
+    function renderHistory() {
+        const entries = searchConversionHistory(history, historySearch.value);
+        historyList.textContent = '';
+        clearHistory.disabled = history.length === 0;
+        historyEmpty.hidden = entries.length > 0;
+        historyEmpty.textContent = history.length
+            ? 'No conversions match your search.'
+            : 'Conversions shown in the selection tooltip are listed here.';
+
+        entries.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = 'history-row';
+
+            const amounts = document.createElement('div');
+            amounts.className = 'history-amounts';
+            amounts.textContent = `${formatAmount(entry.originalAmount, entry.originalCurrency)} → ` +
+                formatAmount(entry.convertedAmount, entry.targetCurrency);
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            if (entry.url) {
+                const link = document.createElement('a');
+                link.href = entry.url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = entry.url.replace(/^https?:\/\//, '');
+                link.title = entry.url;
+                meta.appendChild(link);
+            }
+
+            const when = document.createElement('span');
+            when.textContent = new Date(entry.timestamp).toLocaleString([], {
+                dateStyle: 'short',
+                timeStyle: 'short',
+            });
+            meta.appendChild(when);
+
+            if (entry.rateDate) {
+                const rateInfo = document.createElement('span');
+                rateInfo.textContent = `rates of ${entry.rateDate}`;
+                meta.appendChild(rateInfo);
+            }
+
+            item.append(amounts, meta);
+            historyList.appendChild(item);
+        });
+    }
+});